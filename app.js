@@ -16,13 +16,29 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
-    // Build initial trebuchet
-    simulator.buildTrebuchet('sandbox', simulator.getDefaultParameters());
+    // Build initial trebuchet: the design shared in the URL hash, if any, otherwise the default sandbox
+    const shared = decodeDesignHash(window.location.hash);
+    if (shared) {
+        simulator.environment = resolveEnvironment(shared.environment);
+        document.getElementById('trebuchetType').value = shared.type;
+        simulator.buildTrebuchet(shared.type, shared.parameters);
+        updateParameterInputs(); // The Sling Release settings; builder inputs are built from simulator.parameters below
+    } else {
+        simulator.buildTrebuchet('sandbox', simulator.getDefaultParameters());
+    }
     
     // Setup UI event listeners
     setupTrebuchetTypeButtons();
+    setupDesignControls();
     setupParameterControls();
+    buildReleaseInputs();
+    buildEnvironmentInputs();
+    buildTargetInputs();
+    setupSweepControls();
+    setupMapControls();
+    setupOptimizerControls();
     setupSimulationControls();
+    setupCameraControls(canvas);
     setupKeyboardShortcuts();
     setupStatsUpdater();
     
@@ -48,8 +64,14 @@ function setupTrebuchetTypeButtons() {
     if (typeSelect) {
         typeSelect.addEventListener('change', (e) => {
             const type = e.target.value;
+            // A new type starts from its own defaults: another type's arm lengths or masses would
+            // throw it badly (or fall outside its ranges). Only the Sling Release settings carry over
+            const release = {};
+            LaunchController.getReleaseConfig().forEach(setting => {
+                release[setting.id] = simulator.parameters[setting.id];
+            });
+            simulator.buildTrebuchet(type, { ...getBuilderDefaults(type), ...release });
             buildParameterInputs(type);
-            simulator.buildTrebuchet(type, simulator.parameters);
             updateParameterInputs();
             updateButtonStates();
             updateStats(simulator.getStats()); // Update stats display with estimated distance
@@ -60,6 +82,146 @@ function setupTrebuchetTypeButtons() {
     }
 }
 
+// Designs panel: load a built-in preset or a saved design, save the current one, delete saved ones
+function setupDesignControls() {
+    // Reading window.localStorage throws (SecurityError) when the browser blocks storage for the page;
+    // the panel then keeps designs in memory rather than failing to set up
+    let storage = null;
+    try {
+        storage = window.localStorage;
+    } catch (e) {
+        console.warn('⚠️ localStorage unavailable, saved designs will only last until the page is closed:', e.message);
+    }
+    const designStore = new DesignStore(storage || createMemoryStorage());
+    const designSelect = document.getElementById('designSelect');
+    const designName = document.getElementById('designName');
+    const message = document.getElementById('designMessage');
+    const errorList = document.getElementById('designErrors');
+    if (!designSelect) return;
+    
+    // One line of status, plus the problems found in an imported file
+    const showMessage = (text, isError = false, errors = []) => {
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+        errorList.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            errorList.appendChild(item);
+        });
+    };
+    
+    // Presets and saved designs in their own option groups
+    const refreshDesignList = (selectedName) => {
+        designSelect.innerHTML = '';
+        const designs = designStore.list();
+        [['Presets', true], ['Saved', false]].forEach(([label, builtIn]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            designs.filter(design => design.builtIn === builtIn).forEach(design => {
+                const option = document.createElement('option');
+                option.value = design.name;
+                option.textContent = design.name;
+                group.appendChild(option);
+            });
+            if (group.children.length > 0) {
+                designSelect.appendChild(group);
+            }
+        });
+        if (selectedName) {
+            designSelect.value = selectedName;
+        }
+    };
+    refreshDesignList();
+    
+    document.getElementById('loadDesignBtn').addEventListener('click', () => {
+        const design = designStore.get(designSelect.value);
+        if (!design) return;
+        loadDesign(design);
+        if (!design.builtIn) {
+            designName.value = design.name;
+        }
+        showMessage(`Loaded "${design.name}"`);
+    });
+    
+    document.getElementById('saveDesignBtn').addEventListener('click', () => {
+        try {
+            const design = designStore.save(designName.value, simulator.trebuchetType, simulator.parameters);
+            refreshDesignList(design.name);
+            showMessage(`Saved "${design.name}"`);
+        } catch (e) {
+            showMessage(e.message, true);
+        }
+    });
+    
+    // Link to this page with the current design and environment in the hash
+    document.getElementById('copyLinkBtn').addEventListener('click', () => {
+        const hash = encodeDesignHash(simulator.trebuchetType, simulator.parameters, simulator.environment);
+        const url = window.location.href.split('#')[0] + hash;
+        window.history.replaceState(null, '', hash);
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url)
+                .then(() => showMessage('Link copied to the clipboard'))
+                .catch(() => showMessage('Copy the link from the address bar'));
+        } else {
+            showMessage('Copy the link from the address bar');
+        }
+    });
+    
+    // Download the current design as a versioned JSON file
+    document.getElementById('exportDesignBtn').addEventListener('click', () => {
+        const name = designName.value.trim();
+        const file = createDesignFile(name, simulator.trebuchetType, simulator.parameters, simulator.environment);
+        const blob = new Blob([stringifyDesignFile(file)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${(name || simulator.trebuchetType).replace(/[^\w-]+/g, '-')}.trebuchet.json`;
+        link.click();
+        // Some browsers start the download after click() returns, so the URL has to outlive this handler
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        showMessage(`Exported ${link.download}`);
+    });
+    
+    // Read a design file; nothing changes unless every field checks out
+    const importFile = document.getElementById('importDesignFile');
+    document.getElementById('importDesignBtn').addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', async () => {
+        const file = importFile.files[0];
+        importFile.value = ''; // Let the same file be picked again after fixing it
+        if (!file) return;
+        const { design, errors } = readDesignFile(await file.text());
+        if (!design) {
+            showMessage(`Could not import ${file.name}:`, true, errors);
+            return;
+        }
+        simulator.environment = resolveEnvironment(design.environment);
+        loadDesign(design);
+        buildEnvironmentInputs();
+        designName.value = design.name;
+        showMessage(`Imported ${design.name ? `"${design.name}"` : file.name}`);
+    });
+    
+    document.getElementById('deleteDesignBtn').addEventListener('click', () => {
+        const name = designSelect.value;
+        if (designStore.remove(name)) {
+            refreshDesignList();
+            showMessage(`Deleted "${name}"`);
+        } else {
+            showMessage('Built-in presets can\'t be deleted', true);
+        }
+    });
+}
+
+// Build a design's trebuchet and bring the type dropdown and parameter inputs in line with it
+function loadDesign(design) {
+    document.getElementById('trebuchetType').value = design.type;
+    simulator.loadDesign(design);
+    buildParameterInputs(design.type);
+    updateParameterInputs();
+    updateButtonStates();
+    updateStats(simulator.getStats());
+}
+
 // Update parameter input fields to reflect current values
 function updateParameterInputs() {
     const params = simulator.parameters;
@@ -69,6 +231,7 @@ function updateParameterInputs() {
             input.value = params[param];
         }
     });
+    showReleaseInputs();
 }
 
 // Build parameter inputs dynamically based on builder config
@@ -97,17 +260,29 @@ function buildParameterInputs(type) {
         label.setAttribute('for', param.id);
         label.textContent = param.label;
         
-        const input = document.createElement('input');
-        input.type = 'number';
+        // Parameters with a list of options get a dropdown, the rest a number input
+        let input;
+        if (param.options) {
+            input = document.createElement('select');
+            param.options.forEach(option => {
+                const optionElement = document.createElement('option');
+                optionElement.value = option.value;
+                optionElement.textContent = option.label;
+                input.appendChild(optionElement);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.step = param.step;
+            input.min = param.min || 0;
+            input.max = param.max || 10000;
+        }
         input.id = param.id;
-        input.step = param.step;
-        input.min = param.min || 0;
-        input.max = param.max || 10000;
         input.value = simulator.parameters[param.id] !== undefined ? simulator.parameters[param.id] : param.default;
         
         const unit = document.createElement('span');
         unit.className = 'unit';
-        unit.textContent = param.unit;
+        unit.textContent = param.unit || '';
         
         paramGroup.appendChild(label);
         paramGroup.appendChild(input);
@@ -121,6 +296,565 @@ function buildParameterInputs(type) {
             updateButtonStates();
         });
     });
+    
+    buildSweepParameterOptions(paramConfig);
+    buildOptimizerLocks(paramConfig);
+    updateOptimizerConstraints(type);
+}
+
+// List the type's numeric parameters in every sweep and map picker, keeping the current pick if the new type has it too
+// (otherwise the picker's data-default parameter, or the first)
+function buildSweepParameterOptions(paramConfig) {
+    const numeric = paramConfig.filter(param => !param.options);
+    document.querySelectorAll('.sweep-parameter-select').forEach(select => {
+        const previous = select.value;
+        select.innerHTML = '';
+        numeric.forEach(param => {
+            const option = document.createElement('option');
+            option.value = param.id;
+            option.textContent = param.label;
+            select.appendChild(option);
+        });
+        if (numeric.some(param => param.id === previous)) {
+            select.value = previous;
+        } else {
+            if (numeric.some(param => param.id === select.dataset.default)) {
+                select.value = select.dataset.default;
+            }
+            select.dispatchEvent(new Event('change'));
+        }
+    });
+}
+
+// Wire a parameter picker and its From / To / Steps inputs (ids prefix + Parameter, From, To, Steps, FromUnit, ToUnit)
+// Returns a reader for the picked parameter and the values to run, or null when the range isn't usable
+function setupSweepRange(prefix, maxSteps) {
+    const select = document.getElementById(prefix + 'Parameter');
+    const fromInput = document.getElementById(prefix + 'From');
+    const toInput = document.getElementById(prefix + 'To');
+    const stepsInput = document.getElementById(prefix + 'Steps');
+    
+    const getParam = () => simulator.getBuilderClass(simulator.trebuchetType).getParameterConfig()
+        .find(param => param.id === select.value);
+    
+    // A new parameter covers its whole allowed range by default
+    select.addEventListener('change', () => {
+        const param = getParam();
+        if (!param) return;
+        [fromInput, toInput].forEach(input => {
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+        });
+        fromInput.value = param.min;
+        toInput.value = param.max;
+        document.getElementById(prefix + 'FromUnit').textContent = param.unit || '';
+        document.getElementById(prefix + 'ToUnit').textContent = param.unit || '';
+    });
+    select.dispatchEvent(new Event('change'));
+    
+    return () => {
+        const param = getParam();
+        if (!param) return null;
+        const clamp = value => Math.max(param.min, Math.min(param.max, parseFloat(value)));
+        const from = clamp(fromInput.value);
+        const to = clamp(toInput.value);
+        if (isNaN(from) || isNaN(to)) return null;
+        const steps = Math.max(2, Math.min(maxSteps, parseInt(stepsInput.value, 10) || 2));
+        return { param, values: getSweepValues(from, to, steps) };
+    };
+}
+
+// Parameter sweep: run the silent simulation across a range of one parameter and chart range, apex and release speed
+function setupSweepControls() {
+    const runBtn = document.getElementById('runSweepBtn');
+    const cancelBtn = document.getElementById('cancelSweepBtn');
+    const status = document.getElementById('sweepStatus');
+    const canvas = document.getElementById('sweepChart');
+    if (!canvas) return;
+    
+    const readRange = setupSweepRange('sweep', 50);
+    const runner = new SweepRunner();
+    const chart = new SweepChart(canvas);
+    let sweep = null; // The type and parameter the chart shows, so clicks apply to the right design
+    
+    const setRunning = (running) => {
+        runBtn.disabled = running;
+        cancelBtn.disabled = !running;
+    };
+    
+    runBtn.addEventListener('click', () => {
+        const range = readRange();
+        if (!range) {
+            status.textContent = 'Enter a range to sweep';
+            return;
+        }
+        
+        const { param, values } = range;
+        const options = simulator.getRangeLaunchOptions();
+        const jobs = values.map(value => ({
+            type: simulator.trebuchetType,
+            parameters: { ...simulator.parameters, [param.id]: value },
+            options
+        }));
+        const results = values.map(() => null);
+        sweep = { type: simulator.trebuchetType, param };
+        chart.setData(param, values, results);
+        
+        let finished = 0;
+        status.textContent = `Running 0 / ${values.length}...`;
+        setRunning(true);
+        runner.run(jobs, (index, result) => {
+            results[index] = result;
+            finished++;
+            status.textContent = `Running ${finished} / ${values.length}...`;
+            chart.draw();
+        }, () => {
+            setRunning(false);
+            status.textContent = `${values.length} runs done. Click a point to apply it.`;
+        });
+    });
+    
+    cancelBtn.addEventListener('click', () => {
+        runner.cancel();
+        setRunning(false);
+        status.textContent = 'Sweep cancelled';
+    });
+    
+    // Apply the clicked point's value to the design it was swept from
+    canvas.addEventListener('click', (e) => {
+        if (!sweep) return;
+        const rect = canvas.getBoundingClientRect();
+        const index = chart.getIndexAt((e.clientX - rect.left) * canvas.width / rect.width);
+        if (index < 0) return;
+        if (sweep.type !== simulator.trebuchetType) {
+            status.textContent = 'The trebuchet type has changed since this sweep';
+            return;
+        }
+        const value = parseFloat(chart.values[index].toFixed(3));
+        simulator.updateParameter(sweep.param.id, value);
+        updateParameterInputs();
+        updateStats(simulator.getStats());
+        status.textContent = `Applied ${sweep.param.label} = ${value}${sweep.param.unit ? ' ' + sweep.param.unit : ''} (${formatRange(chart.results[index].range)})`;
+    });
+}
+
+// Parameter map: range over a grid of two parameters, filled in coarse cells first, as a heatmap
+function setupMapControls() {
+    const runBtn = document.getElementById('runMapBtn');
+    const cancelBtn = document.getElementById('cancelMapBtn');
+    const status = document.getElementById('mapStatus');
+    const hover = document.getElementById('mapHover');
+    const canvas = document.getElementById('mapChart');
+    if (!canvas) return;
+    
+    const readX = setupSweepRange('mapX', 20);
+    const readY = setupSweepRange('mapY', 20);
+    const runner = new SweepRunner();
+    const chart = new HeatmapChart(canvas);
+    let map = null; // The type and parameters the chart shows, so clicks apply to the right design
+    
+    const setRunning = (running) => {
+        runBtn.disabled = running;
+        cancelBtn.disabled = !running;
+    };
+    
+    const formatValue = (param, value) => `${parseFloat(value.toFixed(3))}${param.unit ? ' ' + param.unit : ''}`;
+    
+    runBtn.addEventListener('click', () => {
+        const x = readX();
+        const y = readY();
+        if (!x || !y) {
+            status.textContent = 'Enter a range for both parameters';
+            return;
+        }
+        if (x.param.id === y.param.id) {
+            status.textContent = 'Pick two different parameters';
+            return;
+        }
+        
+        const options = simulator.getRangeLaunchOptions();
+        const cells = getGridCells(x.values.length, y.values.length);
+        const jobs = cells.map(cell => ({
+            type: simulator.trebuchetType,
+            parameters: { ...simulator.parameters, [x.param.id]: x.values[cell.column], [y.param.id]: y.values[cell.row] },
+            options
+        }));
+        const grid = y.values.map(() => x.values.map(() => null));
+        map = { type: simulator.trebuchetType, x, y };
+        chart.setData(x.param, y.param, x.values, y.values, grid);
+        hover.textContent = '';
+        
+        let finished = 0;
+        status.textContent = `Running 0 / ${jobs.length}...`;
+        setRunning(true);
+        runner.run(jobs, (index, result) => {
+            grid[cells[index].row][cells[index].column] = result;
+            finished++;
+            status.textContent = `Running ${finished} / ${jobs.length}...`;
+            chart.draw();
+        }, () => {
+            setRunning(false);
+            status.textContent = `${jobs.length} runs done. Hover a cell for its values, click to apply it.`;
+        });
+    });
+    
+    cancelBtn.addEventListener('click', () => {
+        runner.cancel();
+        setRunning(false);
+        status.textContent = 'Map cancelled; the finished cells stay on the chart';
+    });
+    
+    const getCell = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        return chart.getCellAt((e.clientX - rect.left) * canvas.width / rect.width, (e.clientY - rect.top) * canvas.height / rect.height);
+    };
+    
+    canvas.addEventListener('mousemove', (e) => {
+        if (!map) return;
+        const cell = getCell(e);
+        chart.setHover(cell);
+        if (!cell) {
+            hover.textContent = '';
+            return;
+        }
+        const result = chart.grid[cell.row][cell.column];
+        const position = `${map.x.param.label} ${formatValue(map.x.param, map.x.values[cell.column])}, ` +
+            `${map.y.param.label} ${formatValue(map.y.param, map.y.values[cell.row])}`;
+        if (!result) {
+            hover.textContent = `${position}: still running`;
+        } else if (!result.released) {
+            hover.textContent = `${position}: never released`;
+        } else {
+            hover.textContent = `${position}: range ${result.range.toFixed(1)} m, apex ${result.apex.toFixed(1)} m, release ${result.releaseSpeed.toFixed(1)} m/s`;
+        }
+    });
+    
+    canvas.addEventListener('mouseleave', () => {
+        chart.setHover(null);
+        hover.textContent = '';
+    });
+    
+    // Apply both of the clicked cell's values to the design it was mapped from
+    canvas.addEventListener('click', (e) => {
+        if (!map) return;
+        const cell = getCell(e);
+        if (!cell || !chart.grid[cell.row][cell.column]) return;
+        if (map.type !== simulator.trebuchetType) {
+            status.textContent = 'The trebuchet type has changed since this map';
+            return;
+        }
+        simulator.updateParameters({
+            [map.x.param.id]: parseFloat(map.x.values[cell.column].toFixed(3)),
+            [map.y.param.id]: parseFloat(map.y.values[cell.row].toFixed(3))
+        });
+        updateParameterInputs();
+        updateStats(simulator.getStats());
+        status.textContent = `Applied ${formatValue(map.x.param, map.x.values[cell.column])} and ${formatValue(map.y.param, map.y.values[cell.row])}`;
+    });
+}
+
+// A lock checkbox for each of the type's numeric parameters and the release angles, keeping the locks of parameters the new type has too
+function buildOptimizerLocks(paramConfig) {
+    const container = document.getElementById('optimizeLocks');
+    if (!container) return;
+    
+    const locked = getOptimizerLocks();
+    container.innerHTML = '';
+    [...paramConfig, ...LaunchController.getReleaseConfig()].filter(param => !param.options).forEach(param => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = param.id;
+        checkbox.checked = locked.includes(param.id);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(param.label));
+        container.appendChild(label);
+    });
+}
+
+function getOptimizerLocks() {
+    return Array.from(document.querySelectorAll('#optimizeLocks input:checked')).map(checkbox => checkbox.value);
+}
+
+// Only offer the constraints with something to limit on the type's machine, e.g. no frame on a floating arm trebuchet
+function updateOptimizerConstraints(type) {
+    const applicable = getApplicableConstraints(type, simulator.parameters).map(constraint => constraint.id);
+    getOptimizerConstraints().forEach(constraint => {
+        const input = document.getElementById('optimize-' + constraint.id);
+        if (input) {
+            input.parentElement.hidden = !applicable.includes(constraint.id);
+        }
+    });
+}
+
+// Optimizer: search the current type's unlocked parameters for the longest throw, or one that lands at a distance
+function setupOptimizerControls() {
+    const runBtn = document.getElementById('runOptimizeBtn');
+    const cancelBtn = document.getElementById('cancelOptimizeBtn');
+    const applyBtn = document.getElementById('applyOptimizeBtn');
+    const goalSelect = document.getElementById('optimizeGoal');
+    const distanceInput = document.getElementById('optimizeDistance');
+    const evaluationsInput = document.getElementById('optimizeEvaluations');
+    const progressBar = document.getElementById('optimizeProgress');
+    const status = document.getElementById('optimizeStatus');
+    const bestList = document.getElementById('optimizeBest');
+    if (!runBtn) return;
+    
+    getOptimizerGoals().forEach(goal => {
+        const option = document.createElement('option');
+        option.value = goal.value;
+        option.textContent = goal.label;
+        goalSelect.appendChild(option);
+    });
+    
+    // A limit input for each constraint, left empty for no limit
+    getOptimizerConstraints().forEach(constraint => {
+        const paramGroup = document.createElement('div');
+        paramGroup.className = 'param-group';
+        
+        const label = document.createElement('label');
+        label.setAttribute('for', 'optimize-' + constraint.id);
+        label.textContent = constraint.label;
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = 'optimize-' + constraint.id;
+        input.min = 0;
+        input.placeholder = 'none';
+        
+        const unit = document.createElement('span');
+        unit.className = 'unit';
+        unit.textContent = constraint.unit;
+        
+        paramGroup.appendChild(label);
+        paramGroup.appendChild(input);
+        paramGroup.appendChild(unit);
+        evaluationsInput.parentElement.before(paramGroup);
+    });
+    updateOptimizerConstraints(simulator.trebuchetType);
+    
+    // The target distance only matters when aiming for one; it starts at the Target section's distance
+    const updateGoal = () => {
+        distanceInput.disabled = goalSelect.value !== 'distance';
+    };
+    goalSelect.addEventListener('change', () => {
+        if (goalSelect.value === 'distance') {
+            distanceInput.value = simulator.targetSettings.distance;
+        }
+        updateGoal();
+    });
+    updateGoal();
+    
+    const runner = new OptimizerRunner();
+    let search = null; // The type and best design of the last search, so Apply Best applies to the right design
+    
+    const setRunning = (running) => {
+        runBtn.disabled = running;
+        cancelBtn.disabled = !running;
+        applyBtn.disabled = running || !search || !search.best;
+    };
+    
+    const formatValue = (variable, value) => `${value}${variable.unit ? ' ' + variable.unit : ''}`;
+    
+    const showProgress = (progress) => {
+        search.best = progress.best;
+        progressBar.value = progress.evaluations / progress.maxEvaluations;
+        const best = progress.best;
+        const aim = search.goal === 'distance' ? ` (aiming for ${search.targetDistance} m)` : '';
+        status.textContent = `${progress.evaluations} / ${progress.maxEvaluations} launches, best ${formatRange(best.range)}${aim}`;
+        bestList.innerHTML = '';
+        search.variables.forEach(variable => {
+            const item = document.createElement('li');
+            item.textContent = `${variable.label}: ${formatValue(variable, best.values[variable.id])}`;
+            bestList.appendChild(item);
+        });
+    };
+    
+    runBtn.addEventListener('click', () => {
+        const constraints = {};
+        getOptimizerConstraints().forEach(constraint => {
+            constraints[constraint.id] = document.getElementById('optimize-' + constraint.id).value;
+        });
+        const settings = {
+            goal: goalSelect.value,
+            targetDistance: parseFloat(distanceInput.value),
+            locked: getOptimizerLocks(),
+            constraints,
+            maxEvaluations: Math.max(10, Math.min(1000, parseInt(evaluationsInput.value, 10) || 150)),
+            launchOptions: simulator.getRangeLaunchOptions()
+        };
+        if (settings.goal === 'distance' && !(settings.targetDistance > 0)) {
+            status.classList.add('error');
+            status.textContent = 'Enter a target distance';
+            return;
+        }
+        
+        const type = simulator.trebuchetType;
+        const { variables } = getOptimizerVariables(type, simulator.parameters, settings);
+        search = { type, goal: settings.goal, targetDistance: settings.targetDistance, variables, best: null };
+        bestList.innerHTML = '';
+        progressBar.value = 0;
+        status.classList.remove('error');
+        status.textContent = 'Starting...';
+        try {
+            runner.run(type, { ...simulator.parameters }, settings, showProgress, (progress) => {
+                showProgress(progress);
+                setRunning(false);
+                status.textContent += '. Apply Best to use it.';
+            });
+        } catch (e) {
+            // Constraints the design can't meet, e.g. a locked counterweight heavier than the limit
+            search = null;
+            status.classList.add('error');
+            status.textContent = e.message;
+            return;
+        }
+        setRunning(true);
+    });
+    
+    cancelBtn.addEventListener('click', () => {
+        runner.cancel();
+        setRunning(false);
+        status.textContent = search.best ? 'Optimization cancelled; Apply Best uses the best design so far' : 'Optimization cancelled';
+    });
+    
+    applyBtn.addEventListener('click', () => {
+        if (!search || !search.best) return;
+        if (search.type !== simulator.trebuchetType) {
+            status.textContent = 'The trebuchet type has changed since this search';
+            return;
+        }
+        simulator.updateParameters(search.best.values);
+        updateParameterInputs();
+        updateButtonStates();
+        updateStats(simulator.getStats());
+        status.textContent = `Applied the best design (${formatRange(search.best.range)})`;
+    });
+}
+
+// Build the Environment section inputs (air and wind, shared by every trebuchet type)
+function buildEnvironmentInputs() {
+    const container = document.getElementById('environmentParameters');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    getEnvironmentConfig().forEach(setting => {
+        const paramGroup = document.createElement('div');
+        paramGroup.className = 'param-group';
+        
+        const label = document.createElement('label');
+        label.setAttribute('for', setting.id);
+        label.textContent = setting.label;
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = setting.id;
+        input.step = setting.step;
+        input.min = setting.min;
+        input.max = setting.max;
+        input.value = simulator.environment[setting.id];
+        
+        const unit = document.createElement('span');
+        unit.className = 'unit';
+        unit.textContent = setting.unit;
+        
+        // Settings with presets (gravity) get a preset dropdown above the value, which stays editable for custom values
+        let presetSelect = null;
+        if (setting.presets) {
+            const presetGroup = document.createElement('div');
+            presetGroup.className = 'param-group';
+            
+            const presetLabel = document.createElement('label');
+            presetLabel.setAttribute('for', setting.id + 'Preset');
+            presetLabel.textContent = setting.label + ' Preset';
+            
+            presetSelect = document.createElement('select');
+            presetSelect.id = setting.id + 'Preset';
+            [...setting.presets, { value: 'custom', label: 'Custom' }].forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.value;
+                option.textContent = preset.gravity !== undefined ? `${preset.label} (${preset.gravity})` : preset.label;
+                presetSelect.appendChild(option);
+            });
+            presetSelect.value = getGravityPreset(simulator.environment[setting.id]);
+            
+            presetGroup.appendChild(presetLabel);
+            presetGroup.appendChild(presetSelect);
+            container.appendChild(presetGroup);
+            
+            presetSelect.addEventListener('change', (e) => {
+                const preset = setting.presets.find(p => p.value === e.target.value);
+                if (!preset) return; // Custom: keep the current value and let the user type one
+                input.value = preset.gravity;
+                simulator.updateEnvironment(setting.id, preset.gravity);
+                updateButtonStates();
+                updateStats(simulator.getStats());
+            });
+        }
+        
+        paramGroup.appendChild(label);
+        paramGroup.appendChild(input);
+        paramGroup.appendChild(unit);
+        container.appendChild(paramGroup);
+        
+        input.addEventListener('change', (e) => {
+            simulator.updateEnvironment(setting.id, e.target.value);
+            if (presetSelect) {
+                presetSelect.value = getGravityPreset(simulator.environment[setting.id]);
+            }
+            updateButtonStates();
+            updateStats(simulator.getStats());
+        });
+    });
+}
+
+// Build the Sling Release section's angle inputs: the sling and arm criteria each have their own release angle
+// (the velocity criterion uses the builder's Release Angle)
+function buildReleaseInputs() {
+    const container = document.getElementById('releaseParameters');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    LaunchController.getReleaseConfig().filter(setting => setting.criterion).forEach(setting => {
+        const paramGroup = document.createElement('div');
+        paramGroup.className = 'param-group';
+        paramGroup.dataset.criterion = setting.criterion;
+        
+        const label = document.createElement('label');
+        label.setAttribute('for', setting.id);
+        label.textContent = setting.label;
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = setting.id;
+        input.step = setting.step;
+        input.min = setting.min;
+        input.max = setting.max;
+        input.value = simulator.parameters[setting.id];
+        
+        const unit = document.createElement('span');
+        unit.className = 'unit';
+        unit.textContent = setting.unit;
+        
+        paramGroup.appendChild(label);
+        paramGroup.appendChild(input);
+        paramGroup.appendChild(unit);
+        container.appendChild(paramGroup);
+        
+        input.addEventListener('change', (e) => {
+            simulator.updateParameter(setting.id, e.target.value);
+            updateButtonStates();
+        });
+    });
+    showReleaseInputs();
+}
+
+// Show only the release angle of the criterion in use
+function showReleaseInputs() {
+    document.querySelectorAll('#releaseParameters .param-group').forEach(group => {
+        group.hidden = group.dataset.criterion !== simulator.parameters.releaseCriterion;
+    });
 }
 
 // Setup parameter controls (sliders)
@@ -137,6 +871,26 @@ function setupParameterControls() {
         });
         playSpeedValue.textContent = playSpeedSlider.value + 'x';
     }
+    
+    const substepsInput = document.getElementById('substeps');
+    if (substepsInput) {
+        substepsInput.addEventListener('change', (e) => {
+            simulator.setSubsteps(e.target.value);
+            e.target.value = simulator.substeps;
+            updateButtonStates();
+            updateStats(simulator.getStats());
+        });
+    }
+    
+    // Release criterion applies to every trebuchet type, so it lives outside the generated inputs
+    const releaseCriterionSelect = document.getElementById('releaseCriterion');
+    if (releaseCriterionSelect) {
+        releaseCriterionSelect.addEventListener('change', (e) => {
+            simulator.setReleaseCriterion(e.target.value);
+            showReleaseInputs();
+            updateStats(simulator.getStats());
+        });
+    }
     // Note: Individual parameter event listeners are now added dynamically in buildParameterInputs()
 }
 
@@ -170,6 +924,83 @@ function setupSimulationControls() {
         const numSteps = parseInt(stepCountInput.value) || 1;
         simulator.step(numSteps);
     });
+    
+    const stepBackBtn = document.getElementById('stepBackBtn');
+    stepBackBtn.addEventListener('click', () => {
+        simulator.stepBackward(1);
+        pauseBtn.textContent = 'Play';
+    });
+    
+    // Timeline scrubs through the recorded launch
+    const timeline = document.getElementById('timeline');
+    timeline.addEventListener('input', (e) => {
+        simulator.seek(parseInt(e.target.value));
+        pauseBtn.textContent = 'Play';
+    });
+}
+
+// Setup camera: mode selector, mouse-wheel zoom and drag-to-pan on the canvas
+function setupCameraControls(canvas) {
+    const cameraModeSelect = document.getElementById('cameraMode');
+    if (cameraModeSelect) {
+        cameraModeSelect.value = simulator.camera.mode;
+        cameraModeSelect.addEventListener('change', (e) => {
+            simulator.setCameraMode(e.target.value);
+        });
+    }
+    // Zooming or panning can hand the camera over to manual mode
+    const syncCameraMode = () => {
+        if (cameraModeSelect) {
+            cameraModeSelect.value = simulator.camera.mode;
+        }
+    };
+    
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const rect = canvas.getBoundingClientRect();
+        const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+        simulator.zoomCamera(factor, e.clientX - rect.left, e.clientY - rect.top);
+        syncCameraMode();
+    }, { passive: false });
+    
+    let dragStart = null;
+    canvas.addEventListener('mousedown', (e) => {
+        dragStart = { x: e.clientX, y: e.clientY };
+        canvas.style.cursor = 'grabbing';
+    });
+    window.addEventListener('mousemove', (e) => {
+        if (!dragStart) return;
+        simulator.panCamera(e.clientX - dragStart.x, e.clientY - dragStart.y);
+        dragStart = { x: e.clientX, y: e.clientY };
+        syncCameraMode();
+    });
+    window.addEventListener('mouseup', () => {
+        dragStart = null;
+        canvas.style.cursor = '';
+    });
+    
+    // Scale overlays
+    const showRulerCheckbox = document.getElementById('showRuler');
+    if (showRulerCheckbox) {
+        showRulerCheckbox.checked = simulator.showRuler;
+        showRulerCheckbox.addEventListener('change', (e) => simulator.setShowRuler(e.target.checked));
+    }
+    const showGridCheckbox = document.getElementById('showGrid');
+    if (showGridCheckbox) {
+        showGridCheckbox.checked = simulator.showGrid;
+        showGridCheckbox.addEventListener('change', (e) => simulator.setShowGrid(e.target.checked));
+    }
+}
+
+// Update the timeline slider to the frame on screen
+function updateTimeline(replayState) {
+    const timeline = document.getElementById('timeline');
+    const timelineValue = document.getElementById('timelineValue');
+    if (!timeline || !timelineValue) return;
+    
+    timeline.max = Math.max(0, replayState.length - 1);
+    timeline.value = replayState.index;
+    timelineValue.textContent = replayState.time.toFixed(2) + ' s';
 }
 
 // Setup keyboard shortcuts
@@ -191,15 +1022,16 @@ function setupKeyboardShortcuts() {
             document.getElementById('pauseBtn').textContent = 'Play';
             updateStats({ distance: '0', height: '0', velocity: '0', maxDistance: '0', maxHeight: '0', maxVelocity: '0', time: '0', estimatedDistance: '0' });
         }
-        // Arrow right to step forward (single frame)
+        // Arrow right to step forward (single frame, or 10 frames with Shift)
         else if (e.code === 'ArrowRight') {
             e.preventDefault();
-            simulator.step(1);
+            simulator.step(e.shiftKey ? 10 : 1);
         }
-        // Shift + Arrow right to step forward (10 frames)
-        else if (e.code === 'ArrowRight' && e.shiftKey) {
+        // Arrow left to step backward through the recording (single frame, or 10 frames with Shift)
+        else if (e.code === 'ArrowLeft') {
             e.preventDefault();
-            simulator.step(10);
+            simulator.stepBackward(e.shiftKey ? 10 : 1);
+            document.getElementById('pauseBtn').textContent = 'Play';
         }
     });
 }
@@ -215,10 +1047,93 @@ function setupStatsUpdater() {
         if (simulator && !simulator.paused) {
             const stats = simulator.getStats();
             updateStats(stats);
+            updateTimeline(simulator.getReplayState());
+            updateScore(simulator.getScore());
         }
     }, 100); // Update stats 10 times per second
 }
 
+// Build the Target section inputs and wire up the score panel
+function buildTargetInputs() {
+    const container = document.getElementById('targetParameters');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    getTargetConfig().forEach(setting => {
+        const paramGroup = document.createElement('div');
+        paramGroup.className = 'param-group';
+        
+        const label = document.createElement('label');
+        label.setAttribute('for', 'target-' + setting.id);
+        label.textContent = setting.label;
+        
+        // The mode gets a dropdown, distance, height and size a number input
+        let input;
+        if (setting.options) {
+            input = document.createElement('select');
+            setting.options.forEach(option => {
+                const optionElement = document.createElement('option');
+                optionElement.value = option.value;
+                optionElement.textContent = option.label;
+                input.appendChild(optionElement);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.step = setting.step;
+            input.min = setting.min;
+            input.max = setting.max;
+        }
+        // Prefixed ids: 'height' and 'size' would clash with builder parameter inputs
+        input.id = 'target-' + setting.id;
+        input.value = simulator.targetSettings[setting.id];
+        
+        const unit = document.createElement('span');
+        unit.className = 'unit';
+        unit.textContent = setting.unit || '';
+        
+        paramGroup.appendChild(label);
+        paramGroup.appendChild(input);
+        paramGroup.appendChild(unit);
+        container.appendChild(paramGroup);
+        
+        input.addEventListener('change', (e) => {
+            simulator.updateTarget(setting.id, e.target.value);
+            // Picking a wall material also picks its typical strength, which stays editable
+            if (setting.id === 'material') {
+                const material = getWallMaterials().find(m => m.value === e.target.value);
+                document.getElementById('target-strength').value = material.strength;
+                simulator.updateTarget('strength', material.strength);
+            }
+            updateButtonStates();
+            updateStats(simulator.getStats());
+        });
+    });
+    
+    const resetScoreBtn = document.getElementById('resetScoreBtn');
+    if (resetScoreBtn) {
+        resetScoreBtn.addEventListener('click', () => simulator.resetScore());
+    }
+    updateScore(simulator.getScore());
+}
+
+// Update the score panel: hits out of shots, and how the last shot went
+function updateScore(score) {
+    const hitsValue = document.getElementById('scoreHitsValue');
+    const lastValue = document.getElementById('scoreLastValue');
+    if (!hitsValue || !lastValue) return;
+    
+    hitsValue.textContent = `${score.hits} / ${score.shots}`;
+    document.getElementById('scoreBrokenValue').textContent = score.blocksBroken;
+    if (!score.last) {
+        lastValue.textContent = '-';
+    } else if (score.last.hit) {
+        lastValue.textContent = `Hit at ${score.last.x.toFixed(1)} m`;
+    } else {
+        lastValue.textContent = `Missed by ${score.last.missDistance.toFixed(1)} m (${score.last.direction})`;
+    }
+}
+
 // Update stats display
 function updateStats(stats) {
     document.getElementById('distanceValue').textContent = stats.distance + ' m';
@@ -228,7 +1143,9 @@ function updateStats(stats) {
     document.getElementById('heightValue').textContent = stats.maxHeight + ' m';
     document.getElementById('maxVelocityValue').textContent = stats.maxVelocity + ' m/s';
     document.getElementById('timeValue').textContent = stats.time + ' s';
-    if (stats.estimatedDistance !== undefined) {
+    if (stats.estimatedDistance === null) {
+        document.getElementById('estimatedDistanceValue').textContent = 'Never released';
+    } else if (stats.estimatedDistance !== undefined) {
         document.getElementById('estimatedDistanceValue').textContent = stats.estimatedDistance + ' m';
     }
 }
@@ -238,4 +1155,9 @@ function formatNumber(num, decimals = 2) {
     return parseFloat(num).toFixed(decimals);
 }
 
+// A simulated range for status text; null is a launch that never released the projectile
+function formatRange(range) {
+    return range === null ? 'never released' : `range ${range.toFixed(1)} m`;
+}
+
 
@@ -0,0 +1,273 @@
+// Charts
+// Small canvas charts for the design tools in the sidebar: the parameter sweep and the parameter map
+
+// Range, apex and release speed against a swept parameter
+// Range and apex share the left axis (m), release speed has the right axis (m/s)
+class SweepChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.padding = { left: 40, right: 40, top: 24, bottom: 30 };
+        this.series = [
+            { key: 'range', label: 'Range', color: '#667eea', axis: 'left' },
+            { key: 'apex', label: 'Apex', color: '#4ecdc4', axis: 'left' },
+            { key: 'releaseSpeed', label: 'Release speed', color: '#ff6b6b', axis: 'right' }
+        ];
+        this.setData(null, [], []);
+    }
+
+    // values: the swept parameter values; results: runSweepJob() results, filled in as they arrive
+    setData(param, values, results) {
+        this.param = param;
+        this.values = values;
+        this.results = results;
+        this.draw();
+    }
+
+    // Pixel x of a parameter value, and the reverse for picking points
+    getX(value) {
+        const min = this.values[0];
+        const max = this.values[this.values.length - 1];
+        const width = this.canvas.width - this.padding.left - this.padding.right;
+        return this.padding.left + (max > min ? (value - min) / (max - min) : 0.5) * width;
+    }
+
+    // Index of the finished point closest to a canvas x, or -1
+    getIndexAt(x) {
+        let best = -1;
+        this.values.forEach((value, index) => {
+            if (!this.results[index]) return;
+            if (best < 0 || Math.abs(this.getX(value) - x) < Math.abs(this.getX(this.values[best]) - x)) {
+                best = index;
+            }
+        });
+        return best;
+    }
+
+    draw() {
+        const { ctx, canvas, padding } = this;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const bottom = canvas.height - padding.bottom;
+        const plotHeight = bottom - padding.top;
+
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(padding.left, padding.top, canvas.width - padding.left - padding.right, plotHeight);
+        if (!this.param || this.values.length === 0) {
+            ctx.fillStyle = '#999';
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Run a sweep to chart it', canvas.width / 2, padding.top + plotHeight / 2);
+            return;
+        }
+
+        // Axis maxima over the points finished so far; launches that never released have no range or apex to plot
+        const finished = this.results.filter(Boolean);
+        const leftMax = Math.max(1, ...finished.filter(r => r.released).map(r => Math.max(r.range, r.apex)));
+        const rightMax = Math.max(1, ...finished.map(r => r.releaseSpeed));
+        const getY = (value, axis) => bottom - value / (axis === 'left' ? leftMax : rightMax) * plotHeight;
+
+        this.series.forEach(series => {
+            ctx.strokeStyle = series.color;
+            ctx.fillStyle = series.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            let drawing = false;
+            this.values.forEach((value, index) => {
+                const result = this.results[index];
+                if (!result || result[series.key] === null) {
+                    drawing = false;
+                    return;
+                }
+                const x = this.getX(value);
+                const y = getY(result[series.key], series.axis);
+                if (drawing) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    drawing = true;
+                }
+            });
+            ctx.stroke();
+            this.values.forEach((value, index) => {
+                const result = this.results[index];
+                if (!result || result[series.key] === null) return;
+                ctx.beginPath();
+                ctx.arc(this.getX(value), getY(result[series.key], series.axis), 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+
+        // Axis labels: the extremes of each axis and of the swept parameter
+        ctx.fillStyle = '#555';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${leftMax.toFixed(0)} m`, padding.left - 4, padding.top + 8);
+        ctx.fillText('0', padding.left - 4, bottom);
+        ctx.textAlign = 'left';
+        ctx.fillText(`${rightMax.toFixed(0)} m/s`, canvas.width - padding.right + 4, padding.top + 8);
+        ctx.fillText('0', canvas.width - padding.right + 4, bottom);
+        ctx.textAlign = 'left';
+        ctx.fillText(this.formatValue(this.values[0]), padding.left, bottom + 14);
+        ctx.textAlign = 'right';
+        ctx.fillText(this.formatValue(this.values[this.values.length - 1]), canvas.width - padding.right, bottom + 14);
+        ctx.textAlign = 'center';
+        ctx.fillText(`${this.param.label}${this.param.unit ? ` (${this.param.unit})` : ''}`, canvas.width / 2, bottom + 26);
+
+        // Legend along the top
+        let legendX = padding.left;
+        ctx.textAlign = 'left';
+        this.series.forEach(series => {
+            ctx.fillStyle = series.color;
+            ctx.fillRect(legendX, 8, 10, 10);
+            ctx.fillStyle = '#555';
+            ctx.fillText(series.label, legendX + 14, 17);
+            legendX += ctx.measureText(series.label).width + 26;
+        });
+    }
+
+    formatValue(value) {
+        return parseFloat(value.toFixed(3)).toString();
+    }
+}
+
+// Range over a grid of two parameters, color-mapped from blue (shortest) to red (longest)
+// Cells still running borrow the color of the nearest finished coarse cell (see getGridCells()), drawn faded;
+// designs that never released are gray
+class HeatmapChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.padding = { left: 44, right: 10, top: 10, bottom: 44 };
+        this.hover = null;
+        this.setData(null, null, [], [], []);
+    }
+
+    // grid[row][column]: runSweepJob() result for xValues[column] and yValues[row], null until it finishes
+    setData(xParam, yParam, xValues, yValues, grid) {
+        this.xParam = xParam;
+        this.yParam = yParam;
+        this.xValues = xValues;
+        this.yValues = yValues;
+        this.grid = grid;
+        this.hover = null;
+        this.draw();
+    }
+
+    getCellSize() {
+        return {
+            width: (this.canvas.width - this.padding.left - this.padding.right) / this.xValues.length,
+            height: (this.canvas.height - this.padding.top - this.padding.bottom) / this.yValues.length
+        };
+    }
+
+    // Cell under a canvas point, or null; the first row is drawn at the bottom
+    getCellAt(x, y) {
+        if (this.xValues.length === 0) return null;
+        const size = this.getCellSize();
+        const column = Math.floor((x - this.padding.left) / size.width);
+        const row = this.yValues.length - 1 - Math.floor((y - this.padding.top) / size.height);
+        if (column < 0 || column >= this.xValues.length || row < 0 || row >= this.yValues.length) {
+            return null;
+        }
+        return { column, row };
+    }
+
+    setHover(cell) {
+        this.hover = cell;
+        this.draw();
+    }
+
+    // Blue through green and yellow to red as t goes from 0 to 1
+    getColor(t) {
+        return `hsl(${240 * (1 - t)}, 80%, 50%)`;
+    }
+
+    draw() {
+        const { ctx, canvas, padding } = this;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const plotWidth = canvas.width - padding.left - padding.right;
+        const plotHeight = canvas.height - padding.top - padding.bottom;
+        const bottom = padding.top + plotHeight;
+
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(padding.left, padding.top, plotWidth, plotHeight);
+        if (!this.xParam || this.xValues.length === 0) {
+            ctx.fillStyle = '#999';
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Run a map to explore two parameters', padding.left + plotWidth / 2, padding.top + plotHeight / 2);
+            return;
+        }
+
+        const ranges = [];
+        this.grid.forEach(row => row.forEach(result => result && result.released && ranges.push(result.range)));
+        const minRange = Math.min(...ranges);
+        const maxRange = Math.max(...ranges);
+        const size = this.getCellSize();
+
+        this.yValues.forEach((_, row) => {
+            this.xValues.forEach((_, column) => {
+                let result = this.grid[row][column];
+                let alpha = 1;
+                if (!result) {
+                    const stride = [2, 4, 8].find(s => this.grid[row - row % s][column - column % s]);
+                    if (!stride) return;
+                    result = this.grid[row - row % stride][column - column % stride];
+                    alpha = 0.35;
+                }
+                const t = maxRange > minRange ? (result.range - minRange) / (maxRange - minRange) : 0.5;
+                ctx.globalAlpha = alpha;
+                ctx.fillStyle = result.released ? this.getColor(t) : '#bbb';
+                ctx.fillRect(padding.left + column * size.width, bottom - (row + 1) * size.height, size.width + 0.5, size.height + 0.5);
+            });
+        });
+        ctx.globalAlpha = 1;
+
+        if (this.hover) {
+            ctx.strokeStyle = '#222';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(padding.left + this.hover.column * size.width, bottom - (this.hover.row + 1) * size.height, size.width, size.height);
+        }
+
+        // Axis extremes and names
+        const format = value => parseFloat(value.toFixed(3)).toString();
+        ctx.fillStyle = '#555';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(format(this.xValues[0]), padding.left, bottom + 12);
+        ctx.textAlign = 'right';
+        ctx.fillText(format(this.xValues[this.xValues.length - 1]), canvas.width - padding.right, bottom + 12);
+        ctx.textAlign = 'center';
+        ctx.fillText(`${this.xParam.label}${this.xParam.unit ? ` (${this.xParam.unit})` : ''}`, padding.left + plotWidth / 2, bottom + 24);
+        ctx.textAlign = 'right';
+        ctx.fillText(format(this.yValues[this.yValues.length - 1]), padding.left - 4, padding.top + 10);
+        ctx.fillText(format(this.yValues[0]), padding.left - 4, bottom);
+        ctx.save();
+        ctx.translate(12, padding.top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText(`${this.yParam.label}${this.yParam.unit ? ` (${this.yParam.unit})` : ''}`, 0, 0);
+        ctx.restore();
+
+        // Color scale along the bottom
+        if (ranges.length > 0) {
+            const scaleY = bottom + 32;
+            const scaleWidth = plotWidth - 110;
+            for (let i = 0; i < scaleWidth; i++) {
+                ctx.fillStyle = this.getColor(i / scaleWidth);
+                ctx.fillRect(padding.left + 55 + i, scaleY, 1, 8);
+            }
+            ctx.fillStyle = '#555';
+            ctx.textAlign = 'right';
+            ctx.fillText(`${minRange.toFixed(0)} m`, padding.left + 51, scaleY + 8);
+            ctx.textAlign = 'left';
+            ctx.fillText(`${maxRange.toFixed(0)} m`, padding.left + 59 + scaleWidth, scaleY + 8);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SweepChart, HeatmapChart };
+}
@@ -0,0 +1,323 @@
+// Designs
+// A design is a trebuchet type plus its parameters. A few built-in presets ship with the simulator,
+// and designs saved by name are kept in the browser's localStorage (any object with getItem/setItem will do).
+// A design and the environment can also travel in a URL hash, for sharing a setup as a link,
+// or in a versioned JSON design file.
+
+// Node has no script tags: load the builder registry and environment config into the global scope
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./simulation.js'));
+}
+
+function getBuiltInDesigns() {
+    return [
+        {
+            name: 'Warwolf',
+            type: 'hinged',
+            parameters: {
+                projectileArmLength: 18, counterweightArmLength: 5, armHeight: 15, armMass: 150,
+                counterweightMass: 1000, counterweightSize: 2, counterweightShape: 'box', counterweightLinkLength: 4,
+                projectileMass: 40, projectileSize: 0.6, slingLength: 14, releaseAngle: 45
+            }
+        },
+        {
+            name: 'Competition pumpkin chucker',
+            type: 'hinged',
+            parameters: {
+                projectileArmLength: 10, counterweightArmLength: 3, armHeight: 9, armMass: 40,
+                counterweightMass: 400, counterweightSize: 1, counterweightShape: 'sphere', counterweightLinkLength: 5,
+                projectileMass: 4, projectileSize: 0.35, slingLength: 8, releaseAngle: 40
+            }
+        },
+        {
+            name: 'Classroom model',
+            type: 'fixed',
+            parameters: {
+                projectileArmLength: 4, counterweightArmLength: 1.5, armHeight: 5, armMass: 5,
+                counterweightMass: 40, counterweightSize: 0.5, counterweightShape: 'sphere',
+                projectileMass: 1, projectileSize: 0.15, slingLength: 3.5, releaseAngle: 45
+            }
+        }
+    ];
+}
+
+// Stands in for localStorage where the browser refuses it (storage blocked for the page):
+// designs saved into it only last until the page is closed
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+class DesignStore {
+    constructor(storage, key = 'trebuchetDesigns') {
+        this.storage = storage;
+        this.key = key;
+    }
+
+    // Saved designs only; unreadable storage counts as empty
+    getSavedDesigns() {
+        try {
+            const designs = JSON.parse(this.storage.getItem(this.key));
+            return Array.isArray(designs) ? designs : [];
+        } catch (e) {
+            console.warn('⚠️ Could not read saved designs:', e);
+            return [];
+        }
+    }
+
+    // Built-in presets first, then saved designs, each flagged with builtIn
+    list() {
+        return [
+            ...getBuiltInDesigns().map(design => ({ ...design, builtIn: true })),
+            ...this.getSavedDesigns().map(design => ({ ...design, builtIn: false }))
+        ];
+    }
+
+    get(name) {
+        return this.list().find(design => design.name === name) || null;
+    }
+
+    // Save under a name, replacing any saved design of the same name; presets can't be overwritten
+    save(name, type, parameters) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('A design needs a name');
+        }
+        if (getBuiltInDesigns().some(design => design.name === trimmed)) {
+            throw new Error(`"${trimmed}" is a built-in preset; pick another name`);
+        }
+        const design = { name: trimmed, type, parameters: { ...parameters } };
+        const designs = this.getSavedDesigns().filter(saved => saved.name !== trimmed);
+        designs.push(design);
+        this.storage.setItem(this.key, JSON.stringify(designs));
+        return design;
+    }
+
+    // Returns false if there was no saved design of that name (presets can't be deleted)
+    remove(name) {
+        const designs = this.getSavedDesigns();
+        const remaining = designs.filter(saved => saved.name !== name);
+        if (remaining.length === designs.length) {
+            return false;
+        }
+        this.storage.setItem(this.key, JSON.stringify(remaining));
+        return true;
+    }
+}
+
+// URL hash for a design and its environment, e.g. #type=hinged&slingLength=10&env.gravity=1.62
+function encodeDesignHash(type, parameters, environment = {}) {
+    const search = new URLSearchParams();
+    search.set('type', type);
+    Object.keys(parameters).forEach(id => search.set(id, parameters[id]));
+    Object.keys(environment).forEach(id => search.set('env.' + id, environment[id]));
+    return '#' + search.toString();
+}
+
+// Read a hash made by encodeDesignHash(), clamping every value against the builder's and environment's config
+// Returns null if there is no design in it (no hash, or an unknown type)
+function decodeDesignHash(hash) {
+    const search = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const type = search.get('type');
+    if (!Object.prototype.hasOwnProperty.call(TREBUCHET_BUILDERS, type)) {
+        return null;
+    }
+    const params = {};
+    const environment = {};
+    const environmentConfig = getEnvironmentConfig();
+    search.forEach((value, key) => {
+        if (key.startsWith('env.')) {
+            const setting = environmentConfig.find(s => s.id === key.slice(4));
+            if (setting) {
+                environment[setting.id] = clampSetting(setting, value);
+            }
+        } else if (key !== 'type') {
+            params[key] = value;
+        }
+    });
+    return { type, parameters: clampParameters(type, params), environment };
+}
+
+// Design files: a versioned JSON document meant to be kept and reviewed in git, so the layout is stable
+// (parameters in config order, one field per line) and every value carries its unit
+//   version 1 - { name, type, parameters } as saved by the Designs panel, releaseCriterion among the parameters
+//   version 2 - { format, version, name, type, releaseCriterion, parameters: { id: { value, unit } }, environment: { id: { value, unit } } }
+const DESIGN_FILE_FORMAT = 'trebuchet-design';
+const DESIGN_FILE_VERSION = 2;
+
+// Parameter ids a type's design keeps, in config order: the builder's config, then the shared defaults it has no entry for
+function getDesignParameterIds(type) {
+    const configIds = getBuilderClass(type).getParameterConfig().map(param => param.id);
+    const sharedIds = Object.keys(getDefaultParameters()).filter(id => id !== 'releaseCriterion' && !configIds.includes(id));
+    return [...configIds, ...sharedIds];
+}
+
+function createDesignFile(name, type, parameters, environment) {
+    const config = getParameterSettings(type);
+    const resolved = resolveParameters(type, parameters);
+    const fileParameters = {};
+    getDesignParameterIds(type).forEach(id => {
+        const setting = config.find(param => param.id === id);
+        fileParameters[id] = setting && setting.unit ? { value: resolved[id], unit: setting.unit } : { value: resolved[id] };
+    });
+    const resolvedEnvironment = resolveEnvironment(environment);
+    const fileEnvironment = {};
+    getEnvironmentConfig().forEach(setting => {
+        fileEnvironment[setting.id] = { value: resolvedEnvironment[setting.id], unit: setting.unit };
+    });
+    return {
+        format: DESIGN_FILE_FORMAT,
+        version: DESIGN_FILE_VERSION,
+        name: name || '',
+        type,
+        releaseCriterion: resolved.releaseCriterion,
+        parameters: fileParameters,
+        environment: fileEnvironment
+    };
+}
+
+function stringifyDesignFile(file) {
+    return JSON.stringify(file, null, 2) + '\n';
+}
+
+// Bring an older document up to DESIGN_FILE_VERSION; a document without a version is taken as version 1
+function migrateDesignFile(doc) {
+    let migrated = { ...doc, version: doc.version === undefined ? 1 : doc.version };
+    if (migrated.version === 1) {
+        const { releaseCriterion, ...parameters } = migrated.parameters || {};
+        const wrapped = {};
+        Object.keys(parameters).forEach(id => {
+            wrapped[id] = { value: parameters[id] };
+        });
+        migrated = {
+            format: DESIGN_FILE_FORMAT,
+            version: 2,
+            name: migrated.name || '',
+            type: migrated.type,
+            releaseCriterion: releaseCriterion !== undefined ? releaseCriterion : getDefaultParameters().releaseCriterion,
+            parameters: wrapped,
+            environment: {}
+        };
+    }
+    return migrated;
+}
+
+// Check one { value, unit } entry against its config entry; returns the value, or pushes an error and returns undefined
+function validateDesignValue(path, entry, setting, expectedType, errors) {
+    if (entry === null || typeof entry !== 'object' || !('value' in entry)) {
+        errors.push(`${path}: expected { "value": ... }`);
+        return undefined;
+    }
+    const value = entry.value;
+    if (setting && setting.options) {
+        if (!setting.options.some(option => option.value === value)) {
+            errors.push(`${path}: "${value}" is not one of ${setting.options.map(option => option.value).join(', ')}`);
+            return undefined;
+        }
+        return value;
+    }
+    if (typeof value !== expectedType || (expectedType === 'number' && !isFinite(value))) {
+        errors.push(`${path}: expected a ${expectedType}, got ${JSON.stringify(value)}`);
+        return undefined;
+    }
+    if (setting && entry.unit !== undefined && entry.unit !== setting.unit) {
+        errors.push(`${path}: unit "${entry.unit}" should be "${setting.unit}"`);
+        return undefined;
+    }
+    if (setting && setting.min !== undefined && value < setting.min) {
+        errors.push(`${path}: ${value} is below the minimum ${setting.min} ${setting.unit || ''}`.trim());
+        return undefined;
+    }
+    if (setting && setting.max !== undefined && value > setting.max) {
+        errors.push(`${path}: ${value} is above the maximum ${setting.max} ${setting.unit || ''}`.trim());
+        return undefined;
+    }
+    return value;
+}
+
+// Parse, migrate and validate a design file
+// Returns { design: { name, type, parameters, environment }, errors }; design is null if there are any errors
+function readDesignFile(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (e) {
+        return { design: null, errors: [`Not valid JSON: ${e.message}`] };
+    }
+    if (doc === null || typeof doc !== 'object' || Array.isArray(doc)) {
+        return { design: null, errors: ['Expected a JSON object'] };
+    }
+    if (doc.format !== undefined && doc.format !== DESIGN_FILE_FORMAT) {
+        return { design: null, errors: [`format: expected "${DESIGN_FILE_FORMAT}", got ${JSON.stringify(doc.format)}`] };
+    }
+    if (doc.version !== undefined && !(Number.isInteger(doc.version) && doc.version >= 1 && doc.version <= DESIGN_FILE_VERSION)) {
+        return { design: null, errors: [`version: ${JSON.stringify(doc.version)} is not supported (this simulator reads versions 1 to ${DESIGN_FILE_VERSION})`] };
+    }
+
+    const file = migrateDesignFile(doc);
+    if (!Object.prototype.hasOwnProperty.call(TREBUCHET_BUILDERS, file.type)) {
+        return { design: null, errors: [`type: unknown trebuchet type ${JSON.stringify(file.type)}`] };
+    }
+
+    const errors = [];
+    const parameters = {};
+    const config = getParameterSettings(file.type);
+    const ids = getDesignParameterIds(file.type);
+    const defaults = resolveParameters(file.type, {});
+    Object.keys(file.parameters || {}).forEach(id => {
+        if (!ids.includes(id)) {
+            errors.push(`parameters.${id}: not a parameter of the ${file.type} trebuchet`);
+            return;
+        }
+        const setting = config.find(param => param.id === id);
+        const value = validateDesignValue(`parameters.${id}`, file.parameters[id], setting, typeof defaults[id], errors);
+        if (value !== undefined) {
+            parameters[id] = value;
+        }
+    });
+
+    const criteria = LaunchController.getReleaseConfig().find(setting => setting.id === 'releaseCriterion').options.map(option => option.value);
+    if (!criteria.includes(file.releaseCriterion)) {
+        errors.push(`releaseCriterion: "${file.releaseCriterion}" is not one of ${criteria.join(', ')}`);
+    } else {
+        parameters.releaseCriterion = file.releaseCriterion;
+    }
+
+    const environment = {};
+    const environmentConfig = getEnvironmentConfig();
+    Object.keys(file.environment || {}).forEach(id => {
+        const setting = environmentConfig.find(s => s.id === id);
+        if (!setting) {
+            errors.push(`environment.${id}: not an environment setting`);
+            return;
+        }
+        const value = validateDesignValue(`environment.${id}`, file.environment[id], setting, 'number', errors);
+        if (value !== undefined) {
+            environment[id] = value;
+        }
+    });
+
+    if (errors.length > 0) {
+        return { design: null, errors };
+    }
+    return { design: { name: file.name || '', type: file.type, parameters, environment }, errors };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getBuiltInDesigns,
+        createMemoryStorage,
+        DesignStore,
+        encodeDesignHash,
+        decodeDesignHash,
+        DESIGN_FILE_VERSION,
+        createDesignFile,
+        stringifyDesignFile,
+        migrateDesignFile,
+        readDesignFile
+    };
+}
@@ -0,0 +1,72 @@
+// Environment
+// The world the trebuchet stands in: gravity, and the air the projectile flies through
+// (quadratic drag and a steady wind with gusts).
+// Kept apart from the builder parameters, since it is the same whichever trebuchet is on the field.
+
+// Gravity presets (m/s²); any other value counts as custom
+function getGravityPresets() {
+    return [
+        { value: 'earth', label: 'Earth', gravity: 9.81 },
+        { value: 'moon', label: 'Moon', gravity: 1.62 },
+        { value: 'mars', label: 'Mars', gravity: 3.71 }
+    ];
+}
+
+function getGravityPreset(gravity) {
+    const preset = getGravityPresets().find(p => Math.abs(p.gravity - gravity) < 1e-9);
+    return preset ? preset.value : 'custom';
+}
+
+function getEnvironmentConfig() {
+    return [
+        { id: 'gravity', label: 'Gravity', unit: 'm/s²', step: 0.01, min: 0.1, max: 30, default: 9.81, presets: getGravityPresets() },
+        { id: 'airDensity', label: 'Air Density', unit: 'kg/m³', step: 0.05, min: 0, max: 5, default: 1.225 },
+        { id: 'dragCoefficient', label: 'Drag Coefficient', unit: 'Cd', step: 0.01, min: 0, max: 2, default: 0.47 },
+        { id: 'windSpeed', label: 'Wind Speed', unit: 'm/s', step: 1, min: -30, max: 30, default: 0 },
+        { id: 'windGust', label: 'Gust Strength', unit: 'm/s', step: 1, min: 0, max: 20, default: 0 },
+        { id: 'gustPeriod', label: 'Gust Period', unit: 's', step: 0.5, min: 0.5, max: 30, default: 4 }
+    ];
+}
+
+function getDefaultEnvironment() {
+    const environment = {};
+    getEnvironmentConfig().forEach(setting => {
+        environment[setting.id] = setting.default;
+    });
+    return environment;
+}
+
+function resolveEnvironment(environment) {
+    return { ...getDefaultEnvironment(), ...environment };
+}
+
+// Horizontal wind at time t (m/s, positive blows downrange)
+// Gusts are two out-of-step sine waves, so they never quite repeat but every run sees the same wind
+function getWindVelocity(t, environment) {
+    const gustPhase = 2 * Math.PI * t / (environment.gustPeriod || 4);
+    const gust = environment.windGust * (0.7 * Math.sin(gustPhase) + 0.3 * Math.sin(2.3 * gustPhase + 1));
+    return planck.Vec2(environment.windSpeed + gust, 0);
+}
+
+// Quadratic drag on a round projectile: F = -½ ρ Cd A |v| v, with v measured relative to the wind
+function getDragForce(velocity, wind, diameter, environment) {
+    const radius = diameter / 2;
+    const area = Math.PI * radius * radius;
+    const relX = velocity.x - wind.x;
+    const relY = velocity.y - wind.y;
+    const relSpeed = Math.sqrt(relX * relX + relY * relY);
+    const k = 0.5 * environment.airDensity * environment.dragCoefficient * area * relSpeed;
+    return planck.Vec2(-k * relX, -k * relY);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getGravityPresets,
+        getGravityPreset,
+        getEnvironmentConfig,
+        getDefaultEnvironment,
+        resolveEnvironment,
+        getWindVelocity,
+        getDragForce
+    };
+}
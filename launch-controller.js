@@ -0,0 +1,316 @@
+// Launch Controller
+// Headless release, flight and landing logic for one throw, shared by the
+// live simulation and the silent estimate so both follow exactly the same rules
+
+class LaunchController {
+    constructor(world, ground, result, params, environment, target) {
+        this.world = world;
+        this.ground = ground;
+        this.projectile = result.projectile;
+        this.slingJoint = result.slingJoint;
+        this.params = params;
+        // Air and wind (see environment.js); without one the projectile flies in a vacuum
+        this.environment = environment || null;
+        // Optional Target to aim at; targetResult reports the hit or miss once the shot is over
+        this.target = target || null;
+        this.targetResult = null;
+        // Ground top surface: ground center Y minus half-height
+        this.groundTop = ground.getPosition().y - ground.getUserData().halfHeight;
+
+        // Machines held at rest until the throw begins (the whipper's hook) let go in start()
+        this.onStart = result.start || null;
+        this.started = false;
+        this.released = false;
+        this.landed = false;
+        this.releaseState = null;
+        this.trajectory = [];
+        this.stats = { distance: 0, height: 0, maxDistance: 0, maxHeight: 0, velocity: 0, maxVelocity: 0, time: 0, flightTime: 0 };
+
+        const startPos = this.projectile.getPosition();
+        this.startX = startPos.x;
+        this.startY = startPos.y;
+
+        // Starting heights of every body, for the energy balance at release
+        this.bodies = result.bodies || [];
+        this.startHeights = new Map(this.bodies.map(body => [body, body.getWorldCenter().y]));
+        // The main throwing arm, for the arm criterion (the sling may hang from something else, e.g. the whipper's whip)
+        this.arm = this.bodies.find(body => body.getUserData() && body.getUserData().name === 'arm') || null;
+
+        // Detect landing from ground contact, and target hits
+        this.onBeginContact = (contact) => {
+            const fixtureA = contact.getFixtureA();
+            const fixtureB = contact.getFixtureB();
+            const bodyA = fixtureA.getBody();
+            const bodyB = fixtureB.getBody();
+            if (bodyA !== this.projectile && bodyB !== this.projectile) {
+                return;
+            }
+            const other = bodyA === this.projectile ? fixtureB : fixtureA;
+            if (!this.released || this.landed) {
+                return;
+            }
+            if (this.target && this.target.isTargetFixture(other)) {
+                // The projectile flies on through a sensor board and carries its momentum into a wall
+                if (!this.targetResult) {
+                    this.hitTarget();
+                }
+            } else if (other.getBody() === this.ground) {
+                this.land();
+            }
+        };
+        this.world.on('begin-contact', this.onBeginContact);
+    }
+
+    // Release settings shared by every type: the criterion, and the release angles of the sling and arm criteria
+    // The three criteria measure different angles, so each has its own (the velocity criterion's releaseAngle is
+    // in every builder's config); a setting's criterion says which one it belongs to
+    static getReleaseConfig() {
+        return [
+            { id: 'releaseCriterion', label: 'Release When', default: 'velocity', options: [
+                { value: 'velocity', label: 'Projectile velocity angle' },
+                { value: 'sling', label: 'Sling angle to arm (pin release)' },
+                { value: 'arm', label: 'Arm angle' }
+            ] },
+            { id: 'slingReleaseAngle', label: 'Sling Release Angle', unit: '°', step: 5, min: 0, max: 90, default: 10, criterion: 'sling' },
+            { id: 'armReleaseAngle', label: 'Arm Release Angle', unit: '°', step: 5, min: 30, max: 135, default: 65, criterion: 'arm' }
+        ];
+    }
+
+    // The parameter holding a criterion's release angle, and that angle's default
+    static getReleaseAngleSetting(criterion) {
+        return LaunchController.getReleaseConfig().find(setting => setting.criterion === criterion) ||
+            { id: 'releaseAngle', default: 45 };
+    }
+
+    // Measure the angle the release criterion watches, and whether it has reached that criterion's release angle
+    //   velocity - elevation of the projectile's velocity; sweeps down from 180° as the sling swings it round
+    //   sling    - how far the sling trails behind the arm it hangs from (pin/ring release); shrinks towards 0°
+    //   arm      - elevation of the main arm's projectile end above the rear horizontal; climbs from below 0° towards
+    //              vertical (90°). arm is the body named 'arm', defaulting to the one the sling hangs from
+    static getSlingReleaseAngle(projectile, slingJoint, params, arm = slingJoint.getBodyA()) {
+        const criterion = params.releaseCriterion || 'velocity';
+        const setting = LaunchController.getReleaseAngleSetting(criterion);
+        const targetAngle = params[setting.id] !== undefined ? params[setting.id] : setting.default;
+        const vel = projectile.getLinearVelocity();
+        const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+
+        let angle;
+        if (criterion === 'sling') {
+            // Direction from the sling's body origin (pivot) out to the sling attachment
+            const slingBodyDir = slingJoint.getBodyA().getWorldVector(slingJoint.getLocalAnchorA());
+            const anchor = slingJoint.getAnchorA();
+            const projPos = projectile.getPosition();
+            const slingDir = planck.Vec2(projPos.x - anchor.x, projPos.y - anchor.y);
+            angle = -Math.atan2(planck.Vec2.cross(slingBodyDir, slingDir), planck.Vec2.dot(slingBodyDir, slingDir));
+        } else if (criterion === 'arm') {
+            // Arms are built along their local x axis from the pivot, with the projectile end towards -x
+            const armDir = arm.getWorldVector(planck.Vec2(-1, 0));
+            angle = Math.atan2(-armDir.y, -armDir.x); // -y because y increases downward, -x because the arm swings up from behind
+        } else {
+            angle = Math.atan2(-vel.y, vel.x);
+        }
+        // Keep the sweep continuous: angles just past straight back/down read as 180°+ instead of wrapping negative
+        if (criterion !== 'sling' && angle < -Math.PI / 2) {
+            angle += 2 * Math.PI;
+        }
+        angle = angle * 180 / Math.PI;
+
+        // Only release once the projectile is actually being thrown
+        const reached = speed > 10 && (criterion === 'arm' ? angle >= targetAngle : angle <= targetAngle);
+        return { criterion, angle, speed, reached };
+    }
+
+    step(dt) {
+        this.applyAerodynamics();
+        this.world.step(dt);
+        if (this.target) {
+            this.target.update();
+        }
+        this.checkSlingRelease();
+        this.updateTracking(dt);
+    }
+
+    // Begin the throw: run() starts straight away, the live simulator on Play
+    start() {
+        if (this.started) {
+            return;
+        }
+        this.started = true;
+        if (this.onStart) {
+            this.onStart();
+        }
+    }
+
+    // Step until the projectile lands or maxTime of simulated time has passed
+    run(maxTime = 30, dt = 1/60) {
+        this.start();
+        while (!this.landed && this.stats.time < maxTime) {
+            this.step(dt);
+        }
+        return this.stats;
+    }
+
+    // Air drag and wind on the projectile for the coming step (Planck clears forces after each step)
+    applyAerodynamics() {
+        if (!this.environment || this.landed) {
+            return;
+        }
+        const wind = getWindVelocity(this.stats.time, this.environment);
+        const drag = getDragForce(this.projectile.getLinearVelocity(), wind, this.params.projectileSize, this.environment);
+        this.projectile.applyForceToCenter(drag, true);
+    }
+
+    checkSlingRelease() {
+        if (this.slingJoint && !this.released) {
+            const release = LaunchController.getSlingReleaseAngle(this.projectile, this.slingJoint, this.params, this.arm || undefined);
+            if (release.reached) {
+                this.releaseSling();
+                this.releaseState.angle = release.angle;
+                this.releaseState.criterion = release.criterion;
+            }
+        }
+    }
+
+    releaseSling() {
+        if (this.slingJoint) {
+            this.world.destroyJoint(this.slingJoint);
+            this.slingJoint = null;
+        }
+        this.released = true;
+
+        const pos = this.projectile.getPosition();
+        const vel = this.projectile.getLinearVelocity();
+        this.releaseState = {
+            time: this.stats.time,
+            trajectoryIndex: this.trajectory.length, // The point recorded this step is the release point
+            x: pos.x - this.startX,
+            height: this.startY - pos.y,
+            speed: Math.sqrt(vel.x * vel.x + vel.y * vel.y),
+            velocityAngle: Math.atan2(-vel.y, vel.x) * 180 / Math.PI,
+            criterion: null,
+            angle: null,
+            energy: this.measureEnergy()
+        };
+    }
+
+    // Energy balance since the start: what the machine's bodies gave up in potential energy,
+    // and what the projectile carries away (kinetic plus height gained)
+    measureEnergy() {
+        const g = Math.abs(this.world.getGravity().y);
+        let machinePotentialReleased = 0;
+        this.bodies.forEach(body => {
+            if (body !== this.projectile && body.isDynamic()) {
+                // Y increases downward, so a drop is a positive change
+                machinePotentialReleased += body.getMass() * g * (body.getWorldCenter().y - this.startHeights.get(body));
+            }
+        });
+
+        const mass = this.projectile.getMass();
+        const vel = this.projectile.getLinearVelocity();
+        const projectileKinetic = 0.5 * mass * (vel.x * vel.x + vel.y * vel.y);
+        const projectilePotential = mass * g * (this.startHeights.get(this.projectile) - this.projectile.getWorldCenter().y);
+        return {
+            machinePotentialReleased,
+            projectileKinetic,
+            projectilePotential,
+            // Not meaningful when the machine is driven by something other than gravity (e.g. a traction crew)
+            efficiency: machinePotentialReleased > 0 ? (projectileKinetic + projectilePotential) / machinePotentialReleased : null
+        };
+    }
+
+    hitTarget() {
+        const pos = this.projectile.getPosition();
+        this.targetResult = {
+            hit: true,
+            time: this.stats.time,
+            x: pos.x - this.startX,
+            height: this.startY - pos.y,
+            missDistance: 0,
+            direction: null
+        };
+    }
+
+    // A landing without a hit is a miss: how close the flight came to the target, and whether it fell short or long
+    missTarget() {
+        const pos = this.projectile.getPosition();
+        const flight = this.trajectory.slice(this.releaseState ? this.releaseState.trajectoryIndex : 0);
+        flight.push({ x: pos.x, y: pos.y });
+        const missDistance = Math.min(...flight.map(point => this.target.distanceTo(point)));
+        const bounds = this.target.bounds;
+        this.targetResult = {
+            hit: false,
+            time: this.stats.time,
+            x: pos.x - this.startX,
+            height: this.startY - pos.y,
+            missDistance,
+            direction: pos.x < (bounds.minX + bounds.maxX) / 2 ? 'short' : 'long'
+        };
+    }
+
+    land() {
+        if (this.target && !this.targetResult) {
+            this.missTarget();
+        }
+        this.landed = true;
+        // Stop the projectile where it hit
+        this.projectile.setLinearVelocity(planck.Vec2(0, 0));
+        this.projectile.setAngularVelocity(0);
+        this.projectile.setType('static');
+    }
+
+    updateTracking(dt) {
+        // Keep projectile stopped once landed (setType is ignored while the world is locked mid-step)
+        if (this.landed && this.projectile.getType() !== 'static') {
+            this.projectile.setLinearVelocity(planck.Vec2(0, 0));
+            this.projectile.setAngularVelocity(0);
+            this.projectile.setType('static');
+        }
+
+        const pos = this.projectile.getPosition();
+
+        // Fallback in case the projectile tunnels through the ground
+        if (this.released && !this.landed && pos.y >= this.groundTop) {
+            this.land();
+        }
+
+        // After striking a wall the projectile may come to rest on the rubble without touching the ground
+        const restingSpeed = this.projectile.getLinearVelocity().length();
+        if (this.targetResult && this.targetResult.hit && !this.landed && restingSpeed < 0.05) {
+            this.land();
+        }
+
+        this.trajectory.push({ x: pos.x, y: pos.y });
+
+        // Distance from starting X position, height above starting position (Y increases downward)
+        const distance = pos.x - this.startX;
+        const height = this.startY - pos.y;
+        this.stats.distance = Math.max(0, distance);
+        this.stats.maxDistance = Math.max(this.stats.maxDistance, distance);
+        this.stats.height = Math.max(0, height);
+        this.stats.maxHeight = Math.max(this.stats.maxHeight, height);
+
+        const vel = this.projectile.getLinearVelocity();
+        const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
+        if (!isNaN(speed)) {
+            this.stats.velocity = speed;
+            this.stats.maxVelocity = Math.max(this.stats.maxVelocity, speed);
+        }
+
+        // Time only runs until the projectile lands
+        if (!this.landed) {
+            this.stats.time += dt;
+            if (this.released) {
+                this.stats.flightTime += dt;
+            }
+        }
+    }
+
+    // Stop listening to the world, e.g. when the machine is rebuilt
+    destroy() {
+        this.world.off('begin-contact', this.onBeginContact);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LaunchController;
+}
@@ -0,0 +1,28 @@
+// Optimizer Worker
+// Runs an OptimizerRunner search off the page's thread, loading the physics core in index.html order
+
+importScripts(
+    'planck.min.js',
+    'environment.js',
+    'target.js',
+    'trebuchets/base-trebuchet.js',
+    'trebuchets/fixed-counterweight.js',
+    'trebuchets/hinged-trebuchet.js',
+    'trebuchets/whipper-trebuchet.js',
+    'trebuchets/floating-arm-trebuchet.js',
+    'trebuchets/walking-arm-trebuchet.js',
+    'trebuchets/traction-trebuchet.js',
+    'trebuchets/sandbox-trebuchet.js',
+    'launch-controller.js',
+    'simulation.js',
+    'optimizer.js'
+);
+
+self.onmessage = (event) => {
+    const { type, parameters, settings } = event.data;
+    const optimizer = new DesignOptimizer(type, parameters, settings);
+    while (optimizer.step()) {
+        self.postMessage({ progress: optimizer.getProgress() });
+    }
+    self.postMessage({ done: true, progress: optimizer.getProgress() });
+};
@@ -0,0 +1,359 @@
+// Design Optimizer
+// Searches a trebuchet type's numeric parameters for the longest throw, or for a throw that lands at a
+// given distance, with a bounded Nelder–Mead simplex over the silent launch simulation. Parameters can
+// be locked at their current values, and constraints (maximum counterweight mass, maximum frame height)
+// tighten the upper bounds of the parameters they limit. Runs go to a Web Worker (optimizer-worker.js)
+// like the parameter sweeps, or a few evaluations at a time on the page where workers aren't available.
+
+// Node has no script tags: load the physics core into the global scope
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./simulation.js'));
+}
+
+// Constraints the optimizer understands, each an upper limit on one parameter of one part of the machine
+// Types whose config doesn't list the parameter build the part (if they have it) at a fixed value,
+// which has to be within the limit already. Types without the part ignore the constraint, even when they use
+// the parameter for something else (the floating arm's armHeight is the height of its track, not a frame)
+function getOptimizerConstraints() {
+    return [
+        { id: 'maxCounterweightMass', label: 'Max Counterweight Mass', unit: 'kg', param: 'counterweightMass', part: 'counterweight' },
+        { id: 'maxFrameHeight', label: 'Max Frame Height', unit: 'm', param: 'armHeight', part: 'frame' }
+    ];
+}
+
+// Whether the type's machine has a body of the given name, e.g. no counterweight on a traction trebuchet
+function hasMachinePart(type, parameters, part) {
+    const { world } = createLaunch(type, parameters);
+    for (let body = world.getBodyList(); body; body = body.getNext()) {
+        const userData = body.getUserData();
+        if (userData && userData.name === part) return true;
+    }
+    return false;
+}
+
+function getOptimizerGoals() {
+    return [
+        { value: 'range', label: 'Maximize range' },
+        { value: 'distance', label: 'Hit a target distance' }
+    ];
+}
+
+// The constraints that limit something on the type's machine
+function getApplicableConstraints(type, parameters) {
+    return getOptimizerConstraints().filter(constraint => hasMachinePart(type, parameters, constraint.part));
+}
+
+// The parameters a search may move, with their bounds after the constraints
+// The release angle searched is the one the active release criterion reads (releaseAngle, slingReleaseAngle or armReleaseAngle)
+// settings: { locked: [ids], constraints: { maxCounterweightMass, maxFrameHeight } }
+// Returns { variables: [{ id, label, unit, min, max, step }], errors: [messages] }; errors list constraints the design can't meet
+function getOptimizerVariables(type, parameters, settings = {}) {
+    const config = getBuilderClass(type).getParameterConfig();
+    const resolved = resolveParameters(type, parameters);
+    const locked = settings.locked || [];
+    const limits = settings.constraints || {};
+    const variables = [];
+    const errors = [];
+
+    const upperLimits = {};
+    getOptimizerConstraints().forEach(constraint => {
+        const limit = parseFloat(limits[constraint.id]);
+        if (isNaN(limit) || !hasMachinePart(type, parameters, constraint.part)) return;
+        const param = config.find(entry => entry.id === constraint.param);
+        const value = resolved[constraint.param];
+        if (param && !locked.includes(param.id)) {
+            if (limit < param.min) {
+                errors.push(`${constraint.label} is below the smallest ${param.label} (${param.min} ${param.unit})`);
+            }
+            upperLimits[param.id] = limit;
+        } else if (param && value > limit) {
+            errors.push(`Locked ${param.label} (${value} ${constraint.unit}) is above the ${constraint.label.toLowerCase()} of ${limit} ${constraint.unit}`);
+        } else if (!param && value > limit) {
+            errors.push(`This type's ${constraint.part} is fixed at ${value} ${constraint.unit}, above the ${constraint.label.toLowerCase()} of ${limit} ${constraint.unit}`);
+        }
+    });
+
+    const releaseAngle = LaunchController.getReleaseAngleSetting(resolved.releaseCriterion);
+    const releaseSettings = LaunchController.getReleaseConfig().filter(setting => setting.criterion);
+    const releaseAngleIds = ['releaseAngle', ...releaseSettings.map(setting => setting.id)];
+    [...config, ...releaseSettings].forEach(param => {
+        if (param.options || locked.includes(param.id)) return;
+        if (releaseAngleIds.includes(param.id) && param.id !== releaseAngle.id) return;
+        const max = upperLimits[param.id] !== undefined ? Math.min(param.max, upperLimits[param.id]) : param.max;
+        variables.push({ id: param.id, label: param.label, unit: param.unit, min: param.min, max: Math.max(param.min, max), step: param.step });
+    });
+    return { variables, errors };
+}
+
+class DesignOptimizer {
+    // settings: those of getOptimizerVariables(), plus
+    //   goal           - 'range' (longest throw) or 'distance' (land at targetDistance)
+    //   targetDistance - meters downrange, for the 'distance' goal
+    //   maxEvaluations - launches to spend (default 150)
+    //   tolerance      - a 'distance' search stops once it lands this close (default 0.25 m)
+    //   launchOptions  - options for simulateLaunch() (baseX, environment, dt...)
+    // Throws if the design can't meet its constraints
+    constructor(type, parameters, settings = {}) {
+        const { variables, errors } = getOptimizerVariables(type, parameters, settings);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+        this.type = type;
+        this.parameters = { ...parameters };
+        this.variables = variables;
+        this.goal = settings.goal === 'distance' ? 'distance' : 'range';
+        this.targetDistance = parseFloat(settings.targetDistance) || 0;
+        this.maxEvaluations = settings.maxEvaluations || 150;
+        this.tolerance = settings.tolerance !== undefined ? settings.tolerance : 0.25;
+        this.launchOptions = settings.launchOptions || {};
+
+        this.evaluations = 0;
+        this.best = null; // { values, range, cost }: the best design found, values holding just the searched parameters (range null if it never released)
+        this.finished = false;
+        this.lastCost = null;
+        this.search = this.nelderMead();
+    }
+
+    // Searched parameter values for a point of the unit cube, snapped to min + k * step like the inputs,
+    // so the design evaluated (and reported) is one the inputs can hold; the last step stays within max
+    getValues(point) {
+        const values = {};
+        this.variables.forEach((variable, i) => {
+            const value = variable.min + point[i] * (variable.max - variable.min);
+            const steps = Math.floor((variable.max - variable.min) / variable.step + 1e-9);
+            const k = Math.max(0, Math.min(steps, Math.round((value - variable.min) / variable.step)));
+            values[variable.id] = parseFloat((variable.min + k * variable.step).toFixed(6)); // Clear floating-point noise
+        });
+        return values;
+    }
+
+    // The starting design, fitted inside the (possibly tightened) bounds
+    getStartPoint() {
+        const resolved = resolveParameters(this.type, this.parameters);
+        return this.variables.map(variable => {
+            if (variable.max <= variable.min) return 0;
+            const value = Math.max(variable.min, Math.min(variable.max, resolved[variable.id]));
+            return (value - variable.min) / (variable.max - variable.min);
+        });
+    }
+
+    // A design that never lets go of the projectile scores as a throw of 0 m
+    getCost(range) {
+        const distance = range !== null ? range : 0;
+        return this.goal === 'distance' ? Math.abs(distance - this.targetDistance) : -distance;
+    }
+
+    evaluate(point) {
+        const values = this.getValues(point);
+        const result = simulateLaunch(this.type, { ...this.parameters, ...values }, this.launchOptions);
+        const cost = this.getCost(result.range);
+        this.evaluations++;
+        if (!this.best || cost < this.best.cost) {
+            this.best = { values, range: result.range, cost };
+        }
+        return cost;
+    }
+
+    // Run one launch of the search; false once it has converged or spent its evaluations
+    step() {
+        if (this.isDone()) return false;
+        const { value: point, done } = this.search.next(this.lastCost);
+        if (done) {
+            this.finished = true;
+            return false;
+        }
+        this.lastCost = this.evaluate(point);
+        return true;
+    }
+
+    isDone() {
+        return this.finished || this.evaluations >= this.maxEvaluations ||
+            (this.goal === 'distance' && this.best !== null && this.best.cost <= this.tolerance);
+    }
+
+    // Run to the end in one go (Node, or the worker)
+    runAll() {
+        while (this.step());
+        return this.best;
+    }
+
+    getProgress() {
+        return {
+            evaluations: this.evaluations,
+            maxEvaluations: this.maxEvaluations,
+            best: this.best,
+            done: this.isDone()
+        };
+    }
+
+    // Nelder–Mead in the unit cube: yields each point to evaluate and receives its cost back
+    // Points stepping outside the bounds are pulled back onto them
+    *nelderMead() {
+        const n = this.variables.length;
+        const clamp = point => point.map(x => Math.max(0, Math.min(1, x)));
+        const start = this.getStartPoint();
+        const simplex = [start];
+        const costs = [yield start];
+        if (n === 0) return;
+
+        // Starting simplex: a fifth of each parameter's range away from the start, turned inwards at the upper bound
+        for (let i = 0; i < n; i++) {
+            const point = start.slice();
+            point[i] += point[i] + 0.2 <= 1 ? 0.2 : -0.2;
+            simplex.push(clamp(point));
+            costs.push(yield simplex[i + 1]);
+        }
+
+        while (true) {
+            const order = simplex.map((_, i) => i).sort((a, b) => costs[a] - costs[b]);
+            const sorted = order.map(i => simplex[i]);
+            const sortedCosts = order.map(i => costs[i]);
+            simplex.splice(0, simplex.length, ...sorted);
+            costs.splice(0, costs.length, ...sortedCosts);
+
+            // Converged once the simplex has shrunk to a point
+            const size = Math.max(...simplex.slice(1).map(point => Math.max(...point.map((x, i) => Math.abs(x - simplex[0][i])))));
+            if (size < 1e-3) return;
+
+            const worst = simplex[n];
+            const centroid = start.map((_, i) => simplex.slice(0, n).reduce((sum, point) => sum + point[i], 0) / n);
+            const along = (t, from) => clamp(centroid.map((c, i) => c + t * (from[i] - c)));
+
+            const reflected = along(-1, worst);
+            const reflectedCost = yield reflected;
+            if (reflectedCost < costs[0]) {
+                const expanded = along(-2, worst);
+                const expandedCost = yield expanded;
+                if (expandedCost < reflectedCost) {
+                    simplex[n] = expanded;
+                    costs[n] = expandedCost;
+                } else {
+                    simplex[n] = reflected;
+                    costs[n] = reflectedCost;
+                }
+                continue;
+            }
+            if (reflectedCost < costs[n - 1]) {
+                simplex[n] = reflected;
+                costs[n] = reflectedCost;
+                continue;
+            }
+
+            // Contract towards the better of the reflected and worst points
+            const outside = reflectedCost < costs[n];
+            const contracted = along(outside ? -0.5 : 0.5, worst);
+            const contractedCost = yield contracted;
+            if (contractedCost < Math.min(reflectedCost, costs[n])) {
+                simplex[n] = contracted;
+                costs[n] = contractedCost;
+                continue;
+            }
+
+            // Shrink everything towards the best point
+            for (let i = 1; i <= n; i++) {
+                simplex[i] = simplex[i].map((x, j) => simplex[0][j] + 0.5 * (x - simplex[0][j]));
+                costs[i] = yield simplex[i];
+            }
+        }
+    }
+}
+
+// Runs a DesignOptimizer off the page, reporting progress after every launch
+class OptimizerRunner {
+    constructor(workerUrl = 'optimizer-worker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.timer = null;
+        this.runId = 0; // Bumped on every run and cancel, so stale progress is dropped
+    }
+
+    // Optimize type/parameters with settings as for DesignOptimizer, calling onProgress(progress) after every
+    // launch and onDone(progress) at the end; progress is DesignOptimizer.getProgress()
+    // Throws (before starting) if the design can't meet its constraints. A new run cancels the one in progress
+    run(type, parameters, settings, onProgress, onDone) {
+        const optimizer = new DesignOptimizer(type, parameters, settings);
+        this.cancel();
+        const runId = this.runId;
+
+        // Fallback: run on the page, giving the browser a frame after every ~30 ms of work
+        const runOnPage = () => {
+            const runChunk = () => {
+                if (runId !== this.runId) return;
+                const deadline = Date.now() + 30;
+                while (Date.now() < deadline && optimizer.step()) {
+                    onProgress(optimizer.getProgress());
+                }
+                if (!optimizer.isDone()) {
+                    this.timer = setTimeout(runChunk, 0);
+                } else {
+                    this.timer = null;
+                    onDone(optimizer.getProgress());
+                }
+            };
+            this.timer = setTimeout(runChunk, 0);
+        };
+
+        if (typeof Worker === 'undefined' || !this.workerUrl) {
+            runOnPage();
+            return;
+        }
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (e) {
+            console.warn('⚠️ Optimizer worker unavailable, running on the page:', e.message);
+            runOnPage();
+            return;
+        }
+
+        this.worker.onmessage = (event) => {
+            if (runId !== this.runId) return;
+            if (event.data.done) {
+                this.stopWorker();
+                onDone(event.data.progress);
+            } else {
+                onProgress(event.data.progress);
+            }
+        };
+        // A failed worker's launches are deterministic, so the page simply starts the search over
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            console.warn('⚠️ Optimizer worker failed, running on the page:', event.message);
+            this.stopWorker();
+            if (runId === this.runId) {
+                runOnPage();
+            }
+        };
+        this.worker.postMessage({ type, parameters, settings });
+    }
+
+    isRunning() {
+        return this.worker !== null || this.timer !== null;
+    }
+
+    cancel() {
+        this.runId++;
+        this.stopWorker();
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getOptimizerConstraints,
+        getApplicableConstraints,
+        getOptimizerGoals,
+        getOptimizerVariables,
+        DesignOptimizer,
+        OptimizerRunner
+    };
+}
@@ -0,0 +1,53 @@
+// Replay Buffer
+// Records every body's transform, and the joint lines between them, after each physics tick,
+// so a launch can be scrubbed, rewound and stepped backwards without re-running the physics
+
+class ReplayBuffer {
+    constructor(maxFrames = 7200) {
+        this.maxFrames = maxFrames; // 2 minutes at 60 ticks per second
+        this.frames = [];
+    }
+
+    clear() {
+        this.frames = [];
+    }
+
+    getLength() {
+        return this.frames.length;
+    }
+
+    getFrame(index) {
+        return this.frames[index];
+    }
+
+    // Snapshot of the world as it stands: body transforms and joint anchor lines
+    capture(world) {
+        const bodies = [];
+        for (let body = world.getBodyList(); body; body = body.getNext()) {
+            // Inactive bodies (e.g. broken wall blocks) are out of the world until rebuilt
+            if (!body.isActive()) continue;
+            const pos = body.getPosition();
+            bodies.push({ body, x: pos.x, y: pos.y, angle: body.getAngle() });
+        }
+        const joints = [];
+        for (let joint = world.getJointList(); joint; joint = joint.getNext()) {
+            const anchorA = joint.getAnchorA();
+            const anchorB = joint.getAnchorB();
+            joints.push({ ax: anchorA.x, ay: anchorA.y, bx: anchorB.x, by: anchorB.y });
+        }
+        return { bodies, joints };
+    }
+
+    // Append a snapshot along with any simulator state worth restoring (stats, flags)
+    // Once full, the oldest frames are dropped
+    record(world, state = {}) {
+        this.frames.push({ ...this.capture(world), ...state });
+        if (this.frames.length > this.maxFrames) {
+            this.frames.shift();
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplayBuffer;
+}
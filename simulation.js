@@ -0,0 +1,219 @@
+// Headless Simulation
+// DOM-free core: builds a trebuchet in a fresh Planck.js world and runs one launch to landing.
+// The browser simulator sits on top of it, and it runs under plain Node for batch runs:
+//
+//   const { simulateLaunch } = require('./simulation.js');
+//   const result = simulateLaunch('hinged', { slingLength: 10 });
+//   console.log(result.range, result.apex, result.flightTime);  // range and apex are null if it never released
+
+// Node has no script tags: load planck and the builders into the global scope in index.html order
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.planck = require('./planck.min.js');
+    Object.assign(globalThis, require('./environment.js'));
+    Object.assign(globalThis, require('./target.js'));
+    globalThis.BaseTrebuchetBuilder = require('./trebuchets/base-trebuchet.js');
+    globalThis.FixedCounterweightTrebuchetBuilder = require('./trebuchets/fixed-counterweight.js');
+    globalThis.HingedCounterweightTrebuchetBuilder = require('./trebuchets/hinged-trebuchet.js');
+    globalThis.WhipperTrebuchetBuilder = require('./trebuchets/whipper-trebuchet.js');
+    globalThis.FloatingArmTrebuchetBuilder = require('./trebuchets/floating-arm-trebuchet.js');
+    globalThis.WalkingArmTrebuchetBuilder = require('./trebuchets/walking-arm-trebuchet.js');
+    globalThis.TractionTrebuchetBuilder = require('./trebuchets/traction-trebuchet.js');
+    globalThis.SandboxTrebuchetBuilder = require('./trebuchets/sandbox-trebuchet.js');
+    globalThis.LaunchController = require('./launch-controller.js');
+}
+
+const TREBUCHET_BUILDERS = {
+    fixed: FixedCounterweightTrebuchetBuilder,
+    hinged: HingedCounterweightTrebuchetBuilder,
+    whipper: WhipperTrebuchetBuilder,
+    floating: FloatingArmTrebuchetBuilder,
+    walking: WalkingArmTrebuchetBuilder,
+    traction: TractionTrebuchetBuilder,
+    sandbox: SandboxTrebuchetBuilder
+};
+
+function getBuilderClass(type) {
+    return TREBUCHET_BUILDERS[type];
+}
+
+function getDefaultParameters() {
+    return {
+        projectileArmLength: 14,  // Projectile side (formerly 70% of 20)
+        counterweightArmLength: 6,  // Counterweight side (formerly 30% of 20)
+        counterweightMass: 200,
+        counterweightSize: 1,
+        projectileMass: 10,
+        projectileSize: 0.4,  // diameter (was 0.2 radius)
+        slingLength: 12,
+        armMass: 30,
+        releaseAngle: 45,
+        releaseCriterion: 'velocity',
+        slingReleaseAngle: 10,
+        armReleaseAngle: 65,
+        armHeight: 13
+    };
+}
+
+function getBuilderDefaults(type) {
+    // Default values from the builder's parameter config, for parameters other types don't have
+    const builderClass = getBuilderClass(type);
+    const defaults = {};
+    if (builderClass && builderClass.getParameterConfig) {
+        builderClass.getParameterConfig().forEach(param => {
+            defaults[param.id] = param.default;
+        });
+    }
+    return defaults;
+}
+
+// Ranges for shared defaults that some builders read without listing them in their config (the hinged and
+// fixed frames' pivot height), or don't use at all (a traction trebuchet's counterweight), so a value from
+// outside still has a range to fit
+function getSharedParameterConfig() {
+    return [
+        { id: 'armHeight', label: 'Pivot Height', unit: 'm', step: 0.5, min: 5, max: 40, default: 13 },
+        { id: 'counterweightMass', label: 'Counterweight Mass', unit: 'kg', step: 10, min: 10, max: 1000, default: 200 },
+        { id: 'counterweightSize', label: 'Counterweight Size', unit: 'm', step: 0.1, min: 0.1, max: 5, default: 1 }
+    ];
+}
+
+// Config entries for a type's parameters: its builder's, the shared ones it doesn't list, then the release
+// settings every type shares
+function getParameterSettings(type) {
+    const config = getBuilderClass(type).getParameterConfig();
+    const shared = getSharedParameterConfig().filter(setting => !config.some(param => param.id === setting.id));
+    return [...config, ...shared, ...LaunchController.getReleaseConfig()];
+}
+
+function resolveParameters(type, params) {
+    return { ...getDefaultParameters(), ...getBuilderDefaults(type), ...params };
+}
+
+// Fit one value to its config entry: numbers clamped to min/max, option values from the list,
+// anything unreadable replaced by the default
+function clampSetting(setting, value) {
+    if (setting.options) {
+        return setting.options.some(option => option.value === value) ? value : setting.default;
+    }
+    let number = parseFloat(value);
+    if (isNaN(number)) {
+        return setting.default;
+    }
+    if (setting.min !== undefined) number = Math.max(setting.min, number);
+    if (setting.max !== undefined) number = Math.min(setting.max, number);
+    return number;
+}
+
+// Fit parameters from outside (a shared link, a design file) to a type's parameter settings
+// Ids the type has no setting for are dropped, and so are values that aren't one of their setting's options
+// (e.g. an unknown releaseCriterion), leaving the default to apply; numbers are clamped to their range
+function clampParameters(type, params) {
+    const config = getParameterSettings(type);
+    const clamped = {};
+    Object.keys(params).forEach(id => {
+        const setting = config.find(param => param.id === id);
+        if (!setting) return;
+        if (!setting.options) {
+            clamped[id] = clampSetting(setting, params[id]);
+        } else if (setting.options.some(option => option.value === params[id])) {
+            clamped[id] = params[id];
+        }
+    });
+    return clamped;
+}
+
+function createGround(world, worldWidth) {
+    // Create ground (thin ground layer)
+    // Use fixed world coordinates - ground at Y = 100m
+    const groundHalfHeight = 0.5; // Thinner ground
+    const groundHalfWidth = worldWidth * 2; // Make ground 4x world width to catch far projectiles
+    const groundCenterX = worldWidth / 2; // Center the ground in the world
+    const groundCenterY = 100.0; // Fixed world Y position
+    const groundBody = world.createBody({
+        position: planck.Vec2(groundCenterX, groundCenterY),
+        type: 'static',
+        userData: { name: 'ground', halfHeight: groundHalfHeight } // Debug label
+    });
+    groundBody.createFixture({
+        shape: planck.Box(groundHalfWidth, groundHalfHeight),
+        friction: 100.0, // Very high friction to stop projectile quickly
+        restitution: 0.0, // No bounce
+        filterCategoryBits: 0x0001, // Ground category
+        filterMaskBits: 0xFFFF, // Collide with everything
+        userData: { color: '#654321', name: 'ground' }
+    });
+    return groundBody;
+}
+
+// Build the machine in a fresh world, ready to launch
+// Returns the world, its ground, the builder result, the resolved parameters and a LaunchController
+// Options: baseX (frame position, default 10 m), worldWidth (default 200 m),
+// environment (gravity, air and wind settings, defaults from getDefaultEnvironment()),
+// target (settings from getTargetConfig(); no target unless its mode is 'sensor' or 'wall')
+function createLaunch(type, params = {}, options = {}) {
+    const builderClass = getBuilderClass(type);
+    if (!builderClass) {
+        throw new Error(`Unknown trebuchet type: ${type}`);
+    }
+    const parameters = resolveParameters(type, params);
+    const baseX = options.baseX !== undefined ? options.baseX : 10;
+    const environment = resolveEnvironment(options.environment);
+
+    const world = planck.World({
+        gravity: planck.Vec2(0, environment.gravity)
+    });
+    const ground = createGround(world, options.worldWidth || 200);
+    const groundTop = ground.getPosition().y - ground.getUserData().halfHeight;
+
+    // Builders only need a world (and ground) from their simulator
+    const builder = new builderClass({ world, ground });
+    const result = builder.build(baseX, groundTop, parameters);
+    const targetSettings = resolveTarget(options.target);
+    const target = targetSettings.mode !== 'off' ? new Target(world, groundTop, result.projectile.getPosition().x, targetSettings) : null;
+    const launch = new LaunchController(world, ground, result, parameters, environment, target);
+    return { world, ground, result, parameters, environment, target, launch };
+}
+
+// Build the machine and run it until the projectile lands (or options.maxTime runs out)
+// Options: those of createLaunch(), plus dt (physics step, default 1/60 s), maxTime (default 30 s)
+// and trajectory (include the projectile path in the result)
+function simulateLaunch(type, params = {}, options = {}) {
+    const { parameters, environment, target, launch } = createLaunch(type, params, options);
+    launch.run(options.maxTime || 30, options.dt || 1/60);
+
+    return {
+        type,
+        parameters,
+        environment,
+        // A projectile still in the sling when time runs out was never thrown: no range or apex
+        range: launch.released ? Math.max(0, launch.stats.maxDistance) : null,
+        apex: launch.released ? Math.max(0, launch.stats.maxHeight) : null,
+        flightTime: launch.stats.flightTime,
+        time: launch.stats.time,
+        maxVelocity: launch.stats.maxVelocity,
+        released: launch.released,
+        landed: launch.landed,
+        release: launch.releaseState,
+        energy: launch.releaseState ? launch.releaseState.energy : null,
+        target: launch.targetResult,
+        blocksBroken: target ? target.brokenCount : 0,
+        trajectory: options.trajectory ? launch.trajectory : undefined
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TREBUCHET_BUILDERS,
+        getBuilderClass,
+        getDefaultParameters,
+        getBuilderDefaults,
+        getSharedParameterConfig,
+        getParameterSettings,
+        resolveParameters,
+        clampSetting,
+        clampParameters,
+        createGround,
+        createLaunch,
+        simulateLaunch
+    };
+}
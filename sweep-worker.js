@@ -0,0 +1,25 @@
+// Sweep Worker
+// Runs SweepRunner jobs off the page's thread, loading the physics core in index.html order
+
+importScripts(
+    'planck.min.js',
+    'environment.js',
+    'target.js',
+    'trebuchets/base-trebuchet.js',
+    'trebuchets/fixed-counterweight.js',
+    'trebuchets/hinged-trebuchet.js',
+    'trebuchets/whipper-trebuchet.js',
+    'trebuchets/floating-arm-trebuchet.js',
+    'trebuchets/walking-arm-trebuchet.js',
+    'trebuchets/traction-trebuchet.js',
+    'trebuchets/sandbox-trebuchet.js',
+    'launch-controller.js',
+    'simulation.js',
+    'sweep.js'
+);
+
+self.onmessage = (event) => {
+    event.data.jobs.forEach((job, index) => {
+        self.postMessage({ index, result: runSweepJob(job) });
+    });
+};
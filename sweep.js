@@ -0,0 +1,146 @@
+// Parameter Sweeps
+// Runs the silent launch simulation (the one behind the estimated distance) over a batch of designs,
+// for sweeping one parameter across a range or mapping two against each other. Jobs go to a Web Worker
+// (sweep-worker.js) so the page stays responsive; where workers aren't available (e.g. index.html opened
+// from file://) they run on the page a few at a time, between frames.
+
+// Node has no script tags: load the physics core into the global scope
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./simulation.js'));
+}
+
+// steps evenly spaced values from min to max inclusive
+function getSweepValues(min, max, steps) {
+    if (steps <= 1) {
+        return [min];
+    }
+    const values = [];
+    for (let i = 0; i < steps; i++) {
+        values.push(min + (max - min) * i / (steps - 1));
+    }
+    return values;
+}
+
+// Cells of a columns × rows grid, coarse to fine: every 8th cell first, then every 4th, 2nd and the rest,
+// so a parameter map shows its overall shape early and sharpens as it fills in
+function getGridCells(columns, rows) {
+    const cells = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const stride = [8, 4, 2].find(s => column % s === 0 && row % s === 0) || 1;
+            cells.push({ column, row, stride });
+        }
+    }
+    return cells.sort((a, b) => b.stride - a.stride).map(({ column, row }) => ({ column, row }));
+}
+
+// One launch, reduced to what the sweep chart plots
+// job: { type, parameters, options } - options as for simulateLaunch()
+function runSweepJob(job) {
+    const result = simulateLaunch(job.type, job.parameters, job.options);
+    return {
+        range: result.range,
+        apex: result.apex,
+        releaseSpeed: result.release ? result.release.speed : 0,
+        released: result.released,
+        landed: result.landed
+    };
+}
+
+class SweepRunner {
+    constructor(workerUrl = 'sweep-worker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.timer = null;
+        this.runId = 0; // Bumped on every run and cancel, so stale results are dropped
+    }
+
+    // Run jobs, calling onResult(index, result) as each one finishes and onDone() after the last
+    // A new run cancels the one in progress
+    run(jobs, onResult, onDone) {
+        this.cancel();
+        const runId = this.runId;
+
+        // Fallback: run on the page, giving the browser a frame after every ~30 ms of work
+        const runOnPage = (start) => {
+            let index = start;
+            const runChunk = () => {
+                if (runId !== this.runId) return;
+                const deadline = Date.now() + 30;
+                while (index < jobs.length && Date.now() < deadline) {
+                    onResult(index, runSweepJob(jobs[index]));
+                    index++;
+                }
+                if (index < jobs.length) {
+                    this.timer = setTimeout(runChunk, 0);
+                } else {
+                    this.timer = null;
+                    onDone();
+                }
+            };
+            this.timer = setTimeout(runChunk, 0);
+        };
+
+        if (typeof Worker === 'undefined' || !this.workerUrl) {
+            runOnPage(0);
+            return;
+        }
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (e) {
+            console.warn('⚠️ Sweep worker unavailable, running on the page:', e.message);
+            runOnPage(0);
+            return;
+        }
+
+        // The worker answers in job order, so after a failure the page picks up where it stopped
+        let received = 0;
+        this.worker.onmessage = (event) => {
+            if (runId !== this.runId) return;
+            onResult(event.data.index, event.data.result);
+            received++;
+            if (received === jobs.length) {
+                this.stopWorker();
+                onDone();
+            }
+        };
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            console.warn('⚠️ Sweep worker failed, running on the page:', event.message);
+            this.stopWorker();
+            if (runId === this.runId) {
+                runOnPage(received);
+            }
+        };
+        this.worker.postMessage({ jobs });
+    }
+
+    isRunning() {
+        return this.worker !== null || this.timer !== null;
+    }
+
+    cancel() {
+        this.runId++;
+        this.stopWorker();
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getSweepValues,
+        getGridCells,
+        runSweepJob,
+        SweepRunner
+    };
+}
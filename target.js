@@ -0,0 +1,201 @@
+// Target
+// Something to aim at, placed a chosen distance downrange of the projectile's starting point:
+//   sensor - a board hanging in the air that the projectile flies through
+//   wall   - a castle wall of stacked blocks standing on the ground, which break apart when struck hard enough
+
+// Wall materials: block density (kg/m³) and a typical strength, the contact impulse (N·s) that breaks a block
+function getWallMaterials() {
+    return [
+        { value: 'wood', label: 'Wood', density: 600, strength: 250 },
+        { value: 'brick', label: 'Brick', density: 1900, strength: 600 },
+        { value: 'stone', label: 'Stone', density: 2600, strength: 1000 }
+    ];
+}
+
+function getTargetConfig() {
+    return [
+        {
+            id: 'mode', label: 'Target', default: 'off',
+            options: [
+                { value: 'off', label: 'Off' },
+                { value: 'sensor', label: 'Sensor board' },
+                { value: 'wall', label: 'Castle wall' }
+            ]
+        },
+        { id: 'distance', label: 'Distance', unit: 'm', step: 5, min: 5, max: 2000, default: 120 },
+        { id: 'height', label: 'Height', unit: 'm', step: 0.5, min: 0, max: 50, default: 4 },
+        { id: 'size', label: 'Size', unit: 'm', step: 0.5, min: 0.5, max: 20, default: 6 },
+        {
+            id: 'material', label: 'Wall Material', default: 'wood',
+            options: getWallMaterials().map(material => ({ value: material.value, label: material.label }))
+        },
+        { id: 'strength', label: 'Block Strength', unit: 'N·s', step: 50, min: 10, max: 100000, default: 250 }
+    ];
+}
+
+function getDefaultTarget() {
+    const target = {};
+    getTargetConfig().forEach(setting => {
+        target[setting.id] = setting.default;
+    });
+    return target;
+}
+
+function resolveTarget(target) {
+    return { ...getDefaultTarget(), ...target };
+}
+
+class Target {
+    // settings: mode, distance (m downrange of originX), height and size (m) - see getTargetConfig()
+    //   sensor - square board of side size, its centre height above the ground
+    //   wall   - wall height tall and size thick, stacked from half-meter blocks of material (sets their density)
+    //            that break into four pieces when a contact impulse exceeds strength
+    constructor(world, groundTop, originX, settings) {
+        this.world = world;
+        this.settings = settings;
+        this.bodies = [];
+        this.fixtures = new Set();
+        this.brokenCount = 0;
+        this.breakQueue = new Set();
+        this.impacts = new Set();
+
+        const centerX = originX + settings.distance;
+        if (settings.mode === 'sensor') {
+            const centerY = groundTop - settings.height;
+            const half = settings.size / 2;
+            this.bounds = { minX: centerX - 0.25, maxX: centerX + 0.25, minY: centerY - half, maxY: centerY + half };
+            const board = world.createBody({
+                position: planck.Vec2(centerX, centerY),
+                userData: { name: 'target' } // Debug label
+            });
+            this.fixtures.add(board.createFixture({
+                shape: planck.Box(0.25, half),
+                isSensor: true,
+                filterCategoryBits: 0x0020, // Target category
+                filterMaskBits: 0x0008, // Only the projectile passes through it
+                userData: { color: '#DC143C', name: 'target' }
+            }));
+            this.bodies.push(board);
+        } else {
+            // Keep the block count manageable for big walls
+            const thickness = settings.size;
+            const wallHeight = Math.max(settings.height, 0.5);
+            const blockSize = Math.max(0.5, Math.sqrt(thickness * wallHeight / 300));
+            const columns = Math.max(1, Math.round(thickness / blockSize));
+            const rows = Math.max(1, Math.round(wallHeight / blockSize));
+            const blockWidth = thickness / columns;
+            const blockHeight = wallHeight / rows;
+            this.bounds = { minX: centerX - thickness / 2, maxX: centerX + thickness / 2, minY: groundTop - wallHeight, maxY: groundTop };
+            const material = getWallMaterials().find(m => m.value === settings.material) || getWallMaterials()[0];
+            this.density = material.density;
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const color = (row + column) % 2 ? '#A9A9A9' : '#808080';
+                    this.createBlock(
+                        planck.Vec2(this.bounds.minX + (column + 0.5) * blockWidth, groundTop - (row + 0.5) * blockHeight),
+                        blockWidth / 2, blockHeight / 2, color, true
+                    );
+                }
+            }
+
+            // Only impacts count: a block resting under the wall's weight takes a steady impulse every step without breaking
+            this.onPreSolve = (contact) => {
+                const worldManifold = contact.getWorldManifold(null);
+                const point = worldManifold.points[0];
+                if (!point) return;
+                const velocityA = contact.getFixtureA().getBody().getLinearVelocityFromWorldPoint(point);
+                const velocityB = contact.getFixtureB().getBody().getLinearVelocityFromWorldPoint(point);
+                const approachSpeed = Math.abs(planck.Vec2.dot(planck.Vec2.sub(velocityB, velocityA), worldManifold.normal));
+                if (approachSpeed > 1) {
+                    this.impacts.add(contact);
+                }
+            };
+            // Contacts can't change the world mid-step: collect the blocks struck too hard, break them in update()
+            this.onPostSolve = (contact, impulse) => {
+                if (!this.impacts.has(contact)) return;
+                let total = 0;
+                for (let i = 0; i < contact.getManifold().pointCount; i++) {
+                    total += impulse.normalImpulses[i];
+                }
+                if (total <= settings.strength) return;
+                [contact.getFixtureA(), contact.getFixtureB()].forEach(fixture => {
+                    if (this.isTargetFixture(fixture) && fixture.getUserData().breakable) {
+                        this.breakQueue.add(fixture.getBody());
+                    }
+                });
+            };
+            world.on('pre-solve', this.onPreSolve);
+            world.on('post-solve', this.onPostSolve);
+        }
+    }
+
+    createBlock(position, halfWidth, halfHeight, color, breakable) {
+        const block = this.world.createBody({
+            type: 'dynamic',
+            position,
+            userData: { name: 'target' } // Debug label
+        });
+        this.fixtures.add(block.createFixture({
+            shape: planck.Box(halfWidth, halfHeight),
+            density: this.density,
+            friction: 0.6,
+            filterCategoryBits: 0x0020, // Target category
+            filterMaskBits: 0x0001 | 0x0008 | 0x0020, // Ground, projectile and other blocks
+            userData: { color, name: 'target', breakable, halfWidth, halfHeight }
+        }));
+        this.bodies.push(block);
+        return block;
+    }
+
+    // Call after each world step: swap every block struck too hard for four pieces carrying on with its motion
+    // Broken blocks are deactivated rather than destroyed, so replay frames recorded before the break still draw them
+    update() {
+        this.breakQueue.forEach(block => {
+            const fixture = block.getFixtureList();
+            const { halfWidth, halfHeight, color } = fixture.getUserData();
+            block.setActive(false);
+            this.fixtures.delete(fixture);
+            this.brokenCount++;
+            [[-1, -1], [1, -1], [-1, 1], [1, 1]].forEach(([sx, sy]) => {
+                const position = block.getWorldPoint(planck.Vec2(sx * halfWidth / 2, sy * halfHeight / 2));
+                const piece = this.createBlock(position, halfWidth / 2, halfHeight / 2, color, false);
+                piece.setAngle(block.getAngle());
+                piece.setLinearVelocity(block.getLinearVelocityFromWorldPoint(position));
+                piece.setAngularVelocity(block.getAngularVelocity());
+            });
+        });
+        this.breakQueue.clear();
+        this.impacts.clear();
+    }
+
+    isTargetFixture(fixture) {
+        return this.fixtures.has(fixture);
+    }
+
+    // Shortest distance from a point to the target (0 inside it)
+    distanceTo(point) {
+        const dx = Math.max(this.bounds.minX - point.x, 0, point.x - this.bounds.maxX);
+        const dy = Math.max(this.bounds.minY - point.y, 0, point.y - this.bounds.maxY);
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    destroy() {
+        if (this.onPostSolve) {
+            this.world.off('pre-solve', this.onPreSolve);
+            this.world.off('post-solve', this.onPostSolve);
+        }
+        this.bodies.forEach(body => this.world.destroyBody(body));
+        this.bodies = [];
+        this.fixtures.clear();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getWallMaterials,
+        getTargetConfig,
+        getDefaultTarget,
+        resolveTarget,
+        Target
+    };
+}
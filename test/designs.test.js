@@ -0,0 +1,147 @@
+// Design store tests
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getBuilderClass, simulateLaunch } = require('../simulation.js');
+const {
+    getBuiltInDesigns, createMemoryStorage, DesignStore, encodeDesignHash, decodeDesignHash,
+    DESIGN_FILE_VERSION, createDesignFile, stringifyDesignFile, readDesignFile
+} = require('../designs.js');
+
+// Stands in for window.localStorage
+function createStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+test('built-in presets stay within their parameter ranges and throw', () => {
+    getBuiltInDesigns().forEach(design => {
+        const config = getBuilderClass(design.type).getParameterConfig();
+        config.filter(param => param.min !== undefined).forEach(param => {
+            const value = design.parameters[param.id];
+            if (value === undefined) return;
+            assert.ok(value >= param.min && value <= param.max, `${design.name}: ${param.id} ${value} is out of range`);
+        });
+
+        const launch = simulateLaunch(design.type, design.parameters);
+        assert.ok(launch.released && launch.landed, `${design.name} never released or landed`);
+    });
+});
+
+test('saves, lists, loads and deletes designs', () => {
+    const store = new DesignStore(createStorage());
+    const presets = getBuiltInDesigns().length;
+    assert.strictEqual(store.list().length, presets);
+
+    store.save('  Long shot ', 'hinged', { slingLength: 15 });
+    store.save('Long shot', 'hinged', { slingLength: 16 });
+    assert.strictEqual(store.list().length, presets + 1);
+    assert.deepStrictEqual(store.get('Long shot'), { name: 'Long shot', type: 'hinged', parameters: { slingLength: 16 }, builtIn: false });
+
+    assert.strictEqual(store.remove('Long shot'), true);
+    assert.strictEqual(store.get('Long shot'), null);
+    assert.strictEqual(store.remove('Warwolf'), false);
+});
+
+test('presets are protected and bad storage reads as empty', (t) => {
+    t.mock.method(console, 'warn', () => {}); // The unreadable storage is reported
+    const storage = createStorage();
+    const store = new DesignStore(storage);
+    assert.throws(() => store.save('Warwolf', 'hinged', {}), /built-in preset/);
+    assert.throws(() => store.save('   ', 'hinged', {}), /needs a name/);
+
+    storage.setItem('trebuchetDesigns', '{not json');
+    assert.deepStrictEqual(store.getSavedDesigns(), []);
+});
+
+test('the in-memory fallback storage keeps designs for the session', () => {
+    const store = new DesignStore(createMemoryStorage());
+    store.save('Scratch', 'fixed', { slingLength: 8 });
+    assert.deepStrictEqual(store.get('Scratch'), { name: 'Scratch', type: 'fixed', parameters: { slingLength: 8 }, builtIn: false });
+    assert.strictEqual(store.remove('Scratch'), true);
+    assert.deepStrictEqual(store.getSavedDesigns(), []);
+});
+
+test('designs round-trip through a URL hash', () => {
+    const parameters = { ...getBuiltInDesigns()[0].parameters, releaseCriterion: 'sling' };
+    const hash = encodeDesignHash('hinged', parameters, { gravity: 1.62, windSpeed: -5 });
+    assert.ok(hash.startsWith('#type=hinged&'));
+    assert.deepStrictEqual(decodeDesignHash(hash), {
+        type: 'hinged',
+        parameters,
+        environment: { gravity: 1.62, windSpeed: -5 }
+    });
+});
+
+test('shared links are clamped to the builder and environment config', () => {
+    const design = decodeDesignHash('#type=hinged&slingLength=500&projectileMass=-3&counterweightShape=pyramid' +
+        '&releaseAngle=abc&releaseCriterion=catapult&armReleaseAngle=10&armHeight=-50&trackLength=10&bogus=1&toString=1&env.gravity=99&env.bogus=1');
+    assert.deepStrictEqual(design.parameters, {
+        slingLength: 30,
+        projectileMass: 1,
+        releaseAngle: 45,
+        armReleaseAngle: 30,
+        armHeight: 5
+    });
+    assert.strictEqual(decodeDesignHash('#type=fixed&releaseCriterion=arm').parameters.releaseCriterion, 'arm');
+    assert.deepStrictEqual(design.environment, { gravity: 30 });
+
+    assert.strictEqual(decodeDesignHash('#type=catapult&slingLength=5'), null);
+    assert.strictEqual(decodeDesignHash('#type=constructor'), null);
+    assert.strictEqual(decodeDesignHash(''), null);
+});
+
+test('design files round-trip with units and a schema version', () => {
+    const warwolf = getBuiltInDesigns()[0];
+    const file = createDesignFile('Warwolf', warwolf.type, warwolf.parameters, { gravity: 3.71 });
+    assert.strictEqual(file.version, DESIGN_FILE_VERSION);
+    assert.deepStrictEqual(file.parameters.slingLength, { value: 14, unit: 'm' });
+    assert.deepStrictEqual(file.parameters.armReleaseAngle, { value: 65, unit: '°' });
+    assert.deepStrictEqual(file.environment.gravity, { value: 3.71, unit: 'm/s²' });
+
+    const { design, errors } = readDesignFile(stringifyDesignFile(file));
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(design.type, 'hinged');
+    assert.strictEqual(design.parameters.slingLength, 14);
+    assert.strictEqual(design.parameters.releaseCriterion, 'velocity');
+    assert.strictEqual(design.environment.gravity, 3.71);
+});
+
+test('version 1 design files are migrated', () => {
+    const { design, errors } = readDesignFile(JSON.stringify({
+        name: 'Old', type: 'hinged', parameters: { slingLength: 10, releaseCriterion: 'arm' }
+    }));
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(design, {
+        name: 'Old', type: 'hinged', parameters: { slingLength: 10, releaseCriterion: 'arm' }, environment: {}
+    });
+});
+
+test('design files are validated against the builder config', () => {
+    const file = createDesignFile('Bad', 'hinged', {}, {});
+    file.parameters.slingLength = { value: 50, unit: 'm' };
+    file.parameters.projectileMass = { value: 10, unit: 'lb' };
+    file.parameters.counterweightShape = { value: 'pyramid' };
+    file.parameters.armMass = { value: '30', unit: 'kg' };
+    file.parameters.trackLength = { value: 10, unit: 'm' };
+    file.parameters.armHeight = { value: -50, unit: 'm' };
+    file.environment.gravity = { value: 0, unit: 'm/s²' };
+    const { design, errors } = readDesignFile(JSON.stringify(file));
+    assert.strictEqual(design, null);
+    assert.deepStrictEqual(errors, [
+        'parameters.armMass: expected a number, got "30"',
+        'parameters.counterweightShape: "pyramid" is not one of sphere, box, bucket',
+        'parameters.projectileMass: unit "lb" should be "kg"',
+        'parameters.slingLength: 50 is above the maximum 30 m',
+        'parameters.armHeight: -50 is below the minimum 5 m',
+        'parameters.trackLength: not a parameter of the hinged trebuchet',
+        'environment.gravity: 0 is below the minimum 0.1 m/s²'
+    ]);
+
+    assert.match(readDesignFile('{').errors[0], /Not valid JSON/);
+    assert.match(readDesignFile(JSON.stringify({ ...file, version: DESIGN_FILE_VERSION + 1 })).errors[0], /not supported/);
+    assert.match(readDesignFile(JSON.stringify({ ...file, type: 'catapult' })).errors[0], /unknown trebuchet type/);
+});
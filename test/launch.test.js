@@ -0,0 +1,242 @@
+// Launch regression tests
+// Builds every trebuchet type with its default parameters and checks the launch outcome.
+// Run from the repository root with: node --test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TREBUCHET_BUILDERS, getDefaultParameters, getParameterSettings, createLaunch, simulateLaunch } = require('../simulation.js');
+
+// Recorded ranges (m) with each type's defaults, in still air at sea level on Earth. Update these deliberately when a physics change moves them.
+const GOLDEN_RANGES = {
+    fixed: 110.4,
+    hinged: 120.3,
+    whipper: 61.6,
+    floating: 135.4,
+    walking: 110.0,
+    traction: 149.7,
+    sandbox: 120.3
+};
+const RANGE_TOLERANCE = 0.02; // Fraction of the golden range
+
+test('every shared default has a setting to clamp it for every type', () => {
+    Object.keys(TREBUCHET_BUILDERS).forEach(type => {
+        const ids = getParameterSettings(type).map(setting => setting.id);
+        Object.keys(getDefaultParameters()).forEach(id => assert.ok(ids.includes(id), `${type}: no setting for ${id}`));
+    });
+});
+
+test('every registered type has a golden range', () => {
+    assert.deepStrictEqual(Object.keys(GOLDEN_RANGES).sort(), Object.keys(TREBUCHET_BUILDERS).sort());
+});
+
+Object.keys(TREBUCHET_BUILDERS).forEach(type => {
+    test(`${type}: projectile starts at rest`, () => {
+        const { result } = createLaunch(type);
+        const vel = result.projectile.getLinearVelocity();
+        assert.strictEqual(vel.x, 0);
+        assert.strictEqual(vel.y, 0);
+        assert.strictEqual(result.projectile.getAngularVelocity(), 0);
+    });
+
+    test(`${type}: sling length matches slingLength`, () => {
+        const { result, parameters } = createLaunch(type);
+        const slingJoint = result.slingJoint;
+        assert.ok(Math.abs(slingJoint.getLength() - parameters.slingLength) < 1e-6,
+            `sling joint length ${slingJoint.getLength()} != ${parameters.slingLength}`);
+
+        // The projectile is placed with the sling taut
+        const anchorA = slingJoint.getAnchorA();
+        const anchorB = slingJoint.getAnchorB();
+        const span = Math.hypot(anchorB.x - anchorA.x, anchorB.y - anchorA.y);
+        assert.ok(Math.abs(span - parameters.slingLength) < 1e-3,
+            `sling span ${span.toFixed(4)} != ${parameters.slingLength}`);
+    });
+
+    test(`${type}: projectile releases, lands and reaches its golden range`, () => {
+        const launch = simulateLaunch(type);
+        assert.ok(launch.released, 'projectile was never released');
+        assert.ok(launch.landed, 'projectile never landed');
+
+        const golden = GOLDEN_RANGES[type];
+        const error = Math.abs(launch.range - golden) / golden;
+        assert.ok(error <= RANGE_TOLERANCE,
+            `range ${launch.range.toFixed(2)} m is outside ${RANGE_TOLERANCE * 100}% of golden ${golden} m`);
+    });
+
+    test(`${type}: each release criterion throws with its own default release angle`, () => {
+        ['velocity', 'sling', 'arm'].forEach(releaseCriterion => {
+            const launch = simulateLaunch(type, { releaseCriterion });
+            assert.ok(launch.released && launch.landed, `${releaseCriterion}: released ${launch.released}, landed ${launch.landed}`);
+            assert.strictEqual(launch.release.criterion, releaseCriterion);
+            assert.ok(launch.range > 20, `${releaseCriterion}: range ${launch.range.toFixed(2)} m`);
+        });
+    });
+});
+
+// Listeners registered on a world (planck keeps them by event name)
+function countWorldListeners(world) {
+    return Object.values(world._listeners || {}).reduce((count, listeners) => count + listeners.length, 0);
+}
+
+// Rebuilding the live machine reuses its world, so nothing a builder adds to it may outlive cleanup()
+Object.keys(TREBUCHET_BUILDERS).forEach(type => {
+    test(`${type}: cleanup leaves no world listeners behind`, () => {
+        const { world, result, launch } = createLaunch(type);
+        launch.destroy();
+        if (result.cleanup) {
+            result.cleanup();
+        }
+        assert.strictEqual(countWorldListeners(world), 0);
+    });
+});
+
+test('whipper: the hook holds the arm until the launch starts', () => {
+    const { result, launch } = createLaunch('whipper');
+    const arm = result.bodies.find(body => body.getUserData() && body.getUserData().name === 'arm');
+    const angle = arm.getAngle();
+    for (let i = 0; i < 30; i++) {
+        launch.step(1/60);
+    }
+    assert.ok(Math.abs(arm.getAngle() - angle) < 1e-3, 'arm moved while hooked');
+
+    launch.start();
+    for (let i = 0; i < 30; i++) {
+        launch.step(1/60);
+    }
+    assert.ok(Math.abs(arm.getAngle() - angle) > 0.1, 'arm stayed on its hook');
+});
+
+test('traction: the crew starts pulling when the launch starts', () => {
+    const { result, launch } = createLaunch('traction');
+    const arm = result.bodies.find(body => body.getUserData() && body.getUserData().name === 'arm');
+    const angle = arm.getAngle();
+    for (let i = 0; i < 30; i++) {
+        launch.step(1/60);
+    }
+    assert.ok(Math.abs(arm.getAngle() - angle) < 1e-3, 'arm moved before the pull');
+
+    launch.start();
+    for (let i = 0; i < 30; i++) {
+        launch.step(1/60);
+    }
+    assert.ok(Math.abs(arm.getAngle() - angle) > 0.1, 'crew never pulled');
+});
+
+test('projectile mass and arm mass change the throw', () => {
+    const light = simulateLaunch('hinged', { projectileMass: 10 });
+    const heavy = simulateLaunch('hinged', { projectileMass: 20 });
+    assert.ok(heavy.range < light.range, `20 kg went ${heavy.range.toFixed(2)} m, 10 kg went ${light.range.toFixed(2)} m`);
+
+    const heavyArm = simulateLaunch('hinged', { armMass: 60 });
+    assert.ok(heavyArm.range < light.range, `60 kg arm went ${heavyArm.range.toFixed(2)} m, 30 kg arm went ${light.range.toFixed(2)} m`);
+});
+
+test('counterweight drop link length and shape change the throw', () => {
+    const standard = simulateLaunch('hinged');
+    const shortLink = simulateLaunch('hinged', { counterweightLinkLength: 2 });
+    assert.notStrictEqual(shortLink.range.toFixed(1), standard.range.toFixed(1));
+
+    const bucket = simulateLaunch('hinged', { counterweightShape: 'bucket' });
+    assert.ok(bucket.landed, 'bucket counterweight throw never landed');
+    assert.notStrictEqual(bucket.range.toFixed(1), standard.range.toFixed(1));
+});
+
+test('sphere counterweight is the original damped ball that collides with nothing', () => {
+    const { result, parameters } = createLaunch('hinged');
+    const counterweight = result.bodies.find(body => body.getUserData() && body.getUserData().name === 'counterweight');
+    const fixture = counterweight.getFixtureList();
+    assert.strictEqual(fixture.getShape().getRadius(), parameters.counterweightSize);
+    assert.strictEqual(fixture.getFilterMaskBits(), 0x0000);
+    assert.strictEqual(counterweight.getLinearDamping(), 0.1);
+    assert.strictEqual(counterweight.getAngularDamping(), 0.1);
+    assert.ok(Math.abs(counterweight.getMass() - parameters.counterweightMass) < 1e-6);
+});
+
+test('bucket counterweight hangs its mass below the attachment point', () => {
+    const { result, parameters } = createLaunch('hinged', { counterweightShape: 'bucket' });
+    const counterweight = result.bodies.find(body => body.getUserData() && body.getUserData().name === 'counterweight');
+    assert.ok(Math.abs(counterweight.getMass() - parameters.counterweightMass) < 1e-6);
+    assert.ok(counterweight.getLocalCenter().y > parameters.counterweightSize, 'centroid is not below the rim');
+});
+
+test('a launch that never reaches its release angle reports no range', () => {
+    const launch = simulateLaunch('floating', { releaseCriterion: 'arm', armReleaseAngle: 90 }, { maxTime: 8 });
+    assert.strictEqual(launch.released, false);
+    assert.strictEqual(launch.landed, false);
+    assert.strictEqual(launch.range, null);
+    assert.strictEqual(launch.apex, null);
+});
+
+test('air drag shortens the throw and wind carries it', () => {
+    const still = simulateLaunch('hinged');
+    const vacuum = simulateLaunch('hinged', {}, { environment: { airDensity: 0 } });
+    assert.ok(vacuum.range > still.range, `vacuum ${vacuum.range.toFixed(2)} m, air ${still.range.toFixed(2)} m`);
+
+    const tailwind = simulateLaunch('hinged', {}, { environment: { windSpeed: 10 } });
+    const headwind = simulateLaunch('hinged', {}, { environment: { windSpeed: -10 } });
+    assert.ok(tailwind.range > still.range && still.range > headwind.range,
+        `tailwind ${tailwind.range.toFixed(2)} m, still ${still.range.toFixed(2)} m, headwind ${headwind.range.toFixed(2)} m`);
+});
+
+test('gravity presets apply to the launch world', () => {
+    const earth = createLaunch('hinged');
+    assert.strictEqual(earth.world.getGravity().y, 9.81);
+
+    const moon = createLaunch('hinged', {}, { environment: { gravity: 1.62 } });
+    assert.strictEqual(moon.world.getGravity().y, 1.62);
+
+    // Everything falls slower, so the same machine takes much longer over its throw
+    const earthThrow = simulateLaunch('hinged');
+    const moonThrow = simulateLaunch('hinged', {}, { environment: { gravity: 1.62 } });
+    assert.ok(moonThrow.landed);
+    assert.ok(moonThrow.flightTime > 2 * earthThrow.flightTime,
+        `moon flight ${moonThrow.flightTime.toFixed(2)} s, earth flight ${earthThrow.flightTime.toFixed(2)} s`);
+});
+
+test('target mode reports hits and misses', () => {
+    // A sensor board over the landing spot is flown through, and the projectile still lands
+    const board = simulateLaunch('hinged', {}, { target: { mode: 'sensor', distance: GOLDEN_RANGES.hinged, height: 1, size: 3 } });
+    assert.ok(board.landed);
+    assert.strictEqual(board.target.hit, true);
+
+    // A wall in the way is struck
+    const wall = simulateLaunch('hinged', {}, { target: { mode: 'wall', distance: GOLDEN_RANGES.hinged - 2, height: 3, size: 2 } });
+    assert.strictEqual(wall.target.hit, true);
+
+    // Well past the landing spot: a short miss, by about the gap to the wall's front face
+    const far = simulateLaunch('hinged', {}, { target: { mode: 'wall', distance: 200, height: 3, size: 2 } });
+    assert.strictEqual(far.target.hit, false);
+    assert.strictEqual(far.target.direction, 'short');
+    const gap = 200 - 1 - far.range;
+    assert.ok(Math.abs(far.target.missDistance - gap) < 0.5, `missed by ${far.target.missDistance.toFixed(2)} m, gap ${gap.toFixed(2)} m`);
+
+    // No target, no result
+    assert.strictEqual(simulateLaunch('hinged').target, null);
+});
+
+test('castle wall blocks break on hard impacts and the projectile keeps its momentum', () => {
+    const wall = { mode: 'wall', distance: GOLDEN_RANGES.hinged - 3, height: 6, size: 2 };
+    const weak = simulateLaunch('hinged', {}, { target: { ...wall, strength: 100 } });
+    assert.strictEqual(weak.target.hit, true);
+    assert.ok(weak.blocksBroken > 0, 'no blocks broke');
+
+    const strong = simulateLaunch('hinged', {}, { target: { ...wall, strength: 100000 } });
+    assert.strictEqual(strong.target.hit, true);
+    assert.strictEqual(strong.blocksBroken, 0);
+
+    // Standing untouched, the wall holds up under its own weight
+    const standing = createLaunch('hinged', {}, { target: { ...wall, distance: 300, strength: 10 } });
+    for (let i = 0; i < 120; i++) {
+        standing.launch.step(1/60);
+    }
+    assert.strictEqual(standing.target.brokenCount, 0);
+
+    // The projectile is not frozen where it strikes
+    const { launch } = createLaunch('hinged', {}, { target: { ...wall, strength: 100000 } });
+    while (!launch.targetResult && launch.stats.time < 30) {
+        launch.step(1/60);
+    }
+    launch.step(1/60);
+    assert.ok(!launch.landed, 'projectile stopped dead at the wall');
+    assert.ok(launch.projectile.getLinearVelocity().length() > 1, 'projectile lost all its momentum at the wall');
+});
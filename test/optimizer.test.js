@@ -0,0 +1,95 @@
+// Design optimizer tests
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { simulateLaunch, getBuilderClass } = require('../simulation.js');
+const { getOptimizerVariables, getApplicableConstraints, DesignOptimizer, OptimizerRunner } = require('../optimizer.js');
+
+test('maximizing range beats the default design and stays within bounds', () => {
+    const optimizer = new DesignOptimizer('hinged', {}, { maxEvaluations: 40 });
+    const best = optimizer.runAll();
+    assert.ok(optimizer.evaluations <= 40);
+    assert.ok(best.range > simulateLaunch('hinged', {}).range);
+
+    getBuilderClass('hinged').getParameterConfig().filter(param => !param.options).forEach(param => {
+        assert.ok(best.values[param.id] >= param.min && best.values[param.id] <= param.max, param.id);
+    });
+    assert.strictEqual(simulateLaunch('hinged', best.values).range, best.range);
+});
+
+test('searched values snap to each parameter\'s step', () => {
+    const optimizer = new DesignOptimizer('hinged', {}, { constraints: { maxCounterweightMass: 255 } });
+    const values = optimizer.getValues(optimizer.variables.map(() => 0.537));
+    optimizer.variables.forEach(variable => {
+        const k = (values[variable.id] - variable.min) / variable.step;
+        assert.ok(Math.abs(k - Math.round(k)) < 1e-6, `${variable.id} ${values[variable.id]} is off its ${variable.step} step`);
+    });
+    assert.strictEqual(optimizer.getValues(optimizer.variables.map(() => 1)).counterweightMass, 250);
+});
+
+test('locked parameters are left alone and constraints cap the parameters they limit', () => {
+    const optimizer = new DesignOptimizer('traction', { slingLength: 6 }, {
+        locked: ['slingLength', 'crewSize'],
+        constraints: { maxFrameHeight: 4, maxCounterweightMass: 100 },
+        maxEvaluations: 30
+    });
+    const best = optimizer.runAll();
+    assert.ok(!('slingLength' in best.values));
+    assert.ok(!('crewSize' in best.values));
+    assert.ok(best.values.armHeight <= 4);
+    assert.ok(!('counterweightMass' in best.values)); // Pulled by its crew: nothing for the mass limit to cap
+});
+
+test('a target distance search lands close to it', () => {
+    const optimizer = new DesignOptimizer('hinged', {}, { goal: 'distance', targetDistance: 150, maxEvaluations: 150 });
+    const best = optimizer.runAll();
+    assert.ok(Math.abs(best.range - 150) <= 1, `landed at ${best.range}`);
+});
+
+test('constraints a locked or fixed parameter already breaks are reported', () => {
+    const locked = getOptimizerVariables('hinged', { counterweightMass: 300 }, {
+        locked: ['counterweightMass'],
+        constraints: { maxCounterweightMass: 250 }
+    });
+    assert.strictEqual(locked.errors.length, 1);
+    assert.ok(!locked.variables.some(variable => variable.id === 'counterweightMass'));
+
+    // The hinged frame has no height parameter: its pivot stays at the shared default of 13 m
+    assert.throws(() => new DesignOptimizer('hinged', {}, { constraints: { maxFrameHeight: 10 } }), /frame is fixed at 13 m/);
+    assert.strictEqual(getOptimizerVariables('hinged', {}, { constraints: { maxFrameHeight: 20 } }).errors.length, 0);
+});
+
+test('the search varies the release angle of the active release criterion', () => {
+    const releaseAngleIds = ['releaseAngle', 'slingReleaseAngle', 'armReleaseAngle'];
+    [['velocity', 'releaseAngle'], ['sling', 'slingReleaseAngle'], ['arm', 'armReleaseAngle']].forEach(([releaseCriterion, id]) => {
+        const { variables } = getOptimizerVariables('hinged', { releaseCriterion });
+        assert.deepStrictEqual(variables.filter(variable => releaseAngleIds.includes(variable.id)).map(variable => variable.id), [id]);
+    });
+    const locked = getOptimizerVariables('hinged', { releaseCriterion: 'sling' }, { locked: ['slingReleaseAngle'] });
+    assert.ok(!locked.variables.some(variable => releaseAngleIds.includes(variable.id)));
+});
+
+test('a frame height limit leaves the floating arm\'s track alone', () => {
+    assert.deepStrictEqual(getApplicableConstraints('floating', {}).map(constraint => constraint.id), ['maxCounterweightMass']);
+    const { variables, errors } = getOptimizerVariables('floating', {}, { constraints: { maxFrameHeight: 8 } });
+    assert.strictEqual(errors.length, 0);
+    assert.strictEqual(variables.find(variable => variable.id === 'armHeight').max, 40);
+});
+
+test('without workers the runner reports progress and can be cancelled', async () => {
+    const runner = new OptimizerRunner();
+    const settings = { maxEvaluations: 5 };
+
+    const updates = [];
+    const done = await new Promise(resolve => runner.run('fixed', {}, settings, progress => updates.push(progress), resolve));
+    assert.strictEqual(done.evaluations, 5);
+    assert.ok(done.done);
+    assert.deepStrictEqual(updates.map(progress => progress.evaluations), [1, 2, 3, 4, 5]);
+    assert.ok(!runner.isRunning());
+
+    let calls = 0;
+    runner.run('fixed', {}, settings, () => calls++, () => calls++);
+    runner.cancel();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(calls, 0);
+});
@@ -0,0 +1,49 @@
+// Replay buffer tests
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLaunch } = require('../simulation.js');
+const ReplayBuffer = require('../replay-buffer.js');
+
+test('records every body transform per tick', () => {
+    const { world, launch } = createLaunch('hinged');
+    const replay = new ReplayBuffer();
+    replay.record(world, { time: 0 });
+    for (let i = 0; i < 30; i++) {
+        launch.step(1/60);
+        replay.record(world, { time: launch.stats.time });
+    }
+
+    assert.strictEqual(replay.getLength(), 31);
+    const first = replay.getFrame(0);
+    const last = replay.getFrame(30);
+    assert.strictEqual(first.bodies.length, last.bodies.length);
+
+    // Frames keep their own copies, so earlier ones still show the machine at rest
+    const projectile = launch.projectile;
+    const start = first.bodies.find(entry => entry.body === projectile);
+    const end = last.bodies.find(entry => entry.body === projectile);
+    assert.strictEqual(start.x, launch.startX);
+    assert.notStrictEqual(end.x, start.x);
+    assert.ok(Math.abs(last.time - 0.5) < 1e-9);
+});
+
+test('records joint lines and drops the sling once released', () => {
+    const { world, launch } = createLaunch('hinged');
+    const replay = new ReplayBuffer();
+    replay.record(world);
+    launch.run();
+    replay.record(world);
+
+    assert.strictEqual(replay.getFrame(1).joints.length, replay.getFrame(0).joints.length - 1);
+});
+
+test('drops the oldest frames once full', () => {
+    const { world } = createLaunch('hinged');
+    const replay = new ReplayBuffer(5);
+    for (let i = 0; i < 8; i++) {
+        replay.record(world, { tick: i });
+    }
+    assert.strictEqual(replay.getLength(), 5);
+    assert.strictEqual(replay.getFrame(0).tick, 3);
+});
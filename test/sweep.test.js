@@ -0,0 +1,45 @@
+// Parameter sweep tests
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { simulateLaunch } = require('../simulation.js');
+const { getSweepValues, getGridCells, runSweepJob, SweepRunner } = require('../sweep.js');
+
+test('sweep values are evenly spaced and include both ends', () => {
+    assert.deepStrictEqual(getSweepValues(4, 12, 5), [4, 6, 8, 10, 12]);
+    assert.deepStrictEqual(getSweepValues(4, 12, 1), [4]);
+});
+
+test('grid cells cover the map once, coarse cells first', () => {
+    const cells = getGridCells(10, 6);
+    assert.strictEqual(cells.length, 60);
+    assert.strictEqual(new Set(cells.map(cell => `${cell.column},${cell.row}`)).size, 60);
+    assert.deepStrictEqual(cells.slice(0, 2), [{ column: 0, row: 0 }, { column: 8, row: 0 }]);
+    assert.deepStrictEqual(cells[cells.length - 1], { column: 9, row: 5 });
+});
+
+test('a sweep job is the same launch as simulateLaunch()', () => {
+    const job = { type: 'hinged', parameters: { slingLength: 10 }, options: { environment: { windSpeed: 5 } } };
+    const result = runSweepJob(job);
+    const launch = simulateLaunch('hinged', { slingLength: 10 }, { environment: { windSpeed: 5 } });
+    assert.strictEqual(result.range, launch.range);
+    assert.strictEqual(result.apex, launch.apex);
+    assert.strictEqual(result.releaseSpeed, launch.release.speed);
+});
+
+test('without workers the runner works through the jobs on the page and can be cancelled', async () => {
+    const jobs = getSweepValues(8, 12, 3).map(slingLength => ({ type: 'hinged', parameters: { slingLength }, options: {} }));
+    const runner = new SweepRunner();
+
+    const results = [];
+    await new Promise(resolve => runner.run(jobs, (index, result) => { results[index] = result; }, resolve));
+    assert.strictEqual(results.length, 3);
+    assert.ok(results.every(result => result.landed));
+    assert.ok(!runner.isRunning());
+
+    let calls = 0;
+    runner.run(jobs, () => calls++, () => calls++);
+    runner.cancel();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(calls, 0);
+});
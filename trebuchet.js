@@ -9,6 +9,7 @@ class TrebuchetSimulator {
         this.ctx = canvas.getContext('2d');
         this.trebuchetType = 'sandbox';
         this.parameters = this.getDefaultParameters();
+        this.environment = getDefaultEnvironment();
         this.fired = false;
         this.paused = true; // Start paused
         this.stats = { distance: 0, height: 0, maxDistance: 0, maxHeight: 0, velocity: 0, maxVelocity: 0, time: 0, estimatedDistance: 0 };
@@ -17,67 +18,45 @@ class TrebuchetSimulator {
         this.projectileHitGround = false; // Track if projectile hit ground
         this.cameraScale = SCALE; // Dynamic zoom level
         this.cameraOffsetX = 0; // Dynamic camera offset
+        this.cameraOffsetY = 0;
+        // Camera modes: 'follow' (projectile), 'fitMachine', 'fitShot' (machine plus the whole flight) or 'manual'
+        // The camera lives outside the machine, so zoom and position survive reset()
+        this.camera = { mode: 'fitShot', scale: 16, centerX: 200 / SCALE, centerY: 90 };
+        // Scale overlays: world grid (off by default), ground ruler and pivot height gauge
+        this.showGrid = false;
+        this.showRuler = true;
         this.trebuchetX = 0; // Track trebuchet position for camera
+        // Fixed-timestep loop: physics advances in ticks of physicsDt, each split into substeps world steps,
+        // and real time (scaled by timeScale) is banked in the accumulator until a whole tick is due
+        this.physicsDt = 1/60;
+        this.substeps = 1;
+        this.timeScale = 1;
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        // Every tick is recorded so the launch can be scrubbed and stepped backwards;
+        // replayIndex is the frame on screen, the last frame while the simulation is live
+        this.replay = new ReplayBuffer();
+        this.replayIndex = 0;
+        // Faded flight paths of the last few shots, for comparing against the current one
+        this.ghostTrails = [];
+        this.maxGhostTrails = 3;
+        // Target mode: settings from getTargetConfig(), and the hits scored across shots until resetScore()
+        this.targetSettings = getDefaultTarget();
+        this.target = null;
+        this.score = { shots: 0, hits: 0, last: null };
+        this.shotScored = false;
         this.setupPhysics();
         // Initialize trebuchet builders
-        this.builders = {
-            fixed: new FixedCounterweightTrebuchetBuilder(this),
-            hinged: new HingedCounterweightTrebuchetBuilder(this),
-            whipper: new WhipperTrebuchetBuilder(this),
-            floating: new FloatingArmTrebuchetBuilder(this),
-            walking: new WalkingArmTrebuchetBuilder(this),
-            sandbox: new SandboxTrebuchetBuilder(this)
-        };
+        this.builders = {};
+        Object.keys(TREBUCHET_BUILDERS).forEach(type => {
+            this.builders[type] = new TREBUCHET_BUILDERS[type](this);
+        });
     }
 
     setupPhysics() {
         // Create world with Planck.js
         this.world = planck.World({
-            gravity: planck.Vec2(0, 10) // 10 m/s² gravity
-        });
-        
-        // Setup collision listener to detect projectile hitting ground
-        this.world.on('begin-contact', (contact) => {
-            const fixtureA = contact.getFixtureA();
-            const fixtureB = contact.getFixtureB();
-            const bodyA = fixtureA.getBody();
-            const bodyB = fixtureB.getBody();
-            
-            // Debug: log ALL collisions to see what's happening
-            const userDataA = bodyA.getUserData();
-            const userDataB = bodyB.getUserData();
-            console.log('🔵 COLLISION in trebuchet.js:', 
-                userDataA?.name || 'unknown', 'vs', userDataB?.name || 'unknown',
-                '\n  bodyA === this.projectile:', bodyA === this.projectile,
-                '\n  bodyB === this.projectile:', bodyB === this.projectile,
-                '\n  bodyA === this.ground:', bodyA === this.ground,
-                '\n  bodyB === this.ground:', bodyB === this.ground,
-                '\n  this.fired:', this.fired,
-                '\n  fixtureA category:', fixtureA.getFilterCategoryBits().toString(16),
-                'mask:', fixtureA.getFilterMaskBits().toString(16),
-                '\n  fixtureB category:', fixtureB.getFilterCategoryBits().toString(16),
-                'mask:', fixtureB.getFilterMaskBits().toString(16),
-                '\n  bodyA type:', bodyA.getType(),
-                'bullet:', bodyA.isBullet(),
-                '\n  bodyB type:', bodyB.getType(),
-                'bullet:', bodyB.isBullet(),
-                '\n  Projectile pos:', this.projectile?.getPosition());
-            
-            // Check if projectile hit ground (mark for stats tracking)
-            // Only count if projectile has been launched
-            if ((bodyA === this.projectile && bodyB === this.ground) ||
-                (bodyB === this.projectile && bodyA === this.ground)) {
-                if (!this.projectileHitGround && this.fired) {
-                    this.projectileHitGround = true;
-                    console.log('🎯 PROJECTILE HIT GROUND - STOPPING');
-                    // Stop the projectile immediately
-                    if (this.projectile) {
-                        this.projectile.setLinearVelocity(planck.Vec2(0, 0));
-                        this.projectile.setAngularVelocity(0);
-                        this.projectile.setType('static');
-                    }
-                }
-            }
+            gravity: planck.Vec2(0, this.environment.gravity) // Set from the Environment section
         });
         
         // Canvas dimensions
@@ -85,34 +64,31 @@ class TrebuchetSimulator {
         this.canvas.width = rect.width;
         this.canvas.height = rect.height;
 
-        // Estimate throw distance to size the world appropriately
-        const estimatedRange = this.estimateThrowDistance();
+        // Estimate throw distance to size the world appropriately; buildTrebuchet() resizes it for every machine
+        this.sizeGround(this.estimateThrowDistance());
+
+        // Start animation loop
+        this.animate();
+    }
+
+    // (Re)create the ground wide enough for a throw of estimatedRange meters
+    // Gravity and the parameters change between builds, and a long low-gravity throw would otherwise fly past its end
+    sizeGround(estimatedRange) {
         const worldWidth = Math.max(200, estimatedRange * 3); // 3x estimated range for safety
+        if (this.ground && worldWidth === this.worldWidth) {
+            return;
+        }
+        if (this.ground) {
+            this.world.destroyBody(this.ground);
+        }
+        this.worldWidth = worldWidth;
         
         console.log(`🌍 World size: ${worldWidth.toFixed(0)}m (based on estimated range: ${estimatedRange.toFixed(0)}m)`);
 
-        // Create ground (thin ground layer)
-        // Use fixed world coordinates - ground at Y = 100m
-        const groundHalfHeight = 0.5; // Thinner ground
-        const groundHalfWidth = worldWidth * 2; // Make ground 4x world width to catch far projectiles
-        const groundCenterX = worldWidth / 2; // Center the ground in the world
-        const groundCenterY = 100.0; // Fixed world Y position
-        const groundBody = this.world.createBody({
-            position: planck.Vec2(groundCenterX, groundCenterY),
-            type: 'static',
-            userData: { name: 'ground' } // Debug label
-        });
-        groundBody.createFixture({
-            shape: planck.Box(groundHalfWidth, groundHalfHeight),
-            friction: 100.0, // Very high friction to stop projectile quickly
-            restitution: 0.0, // No bounce
-            filterCategoryBits: 0x0001, // Ground category
-            filterMaskBits: 0xFFFF, // Collide with everything
-            userData: { color: '#654321', name: 'ground' }
-        });
+        const groundBody = createGround(this.world, worldWidth);
         this.ground = groundBody;
         // Calculate ground top surface: ground center Y minus half-height
-        this.groundTop = groundCenterY - groundHalfHeight;
+        this.groundTop = groundBody.getPosition().y - groundBody.getUserData().halfHeight;
         
         // Debug ground properties
         console.log('🏗️ GROUND CREATED:',
@@ -121,101 +97,115 @@ class TrebuchetSimulator {
             '\n  Fixture category:', groundBody.getFixtureList().getFilterCategoryBits().toString(16),
             '\n  Fixture mask:', groundBody.getFixtureList().getFilterMaskBits().toString(16),
             '\n  Ground top:', this.groundTop);
+    }
 
-        // Start animation loop
-        this.animate();
+    // World step size: one physics tick split into substeps
+    getStepSize() {
+        return this.physicsDt / this.substeps;
     }
 
-    checkSlingRelease() {
-        // Check for sling release based on projectile angle to ground
-        // Release when projectile is at 45° to the horizontal for optimal trajectory
-        if (this.slingJoint && this.projectile) {
-            const projPos = this.projectile.getPosition();
-            
-            // Calculate angle from horizontal
-            // Projectile velocity direction is a good proxy for release angle
-            const vel = this.projectile.getLinearVelocity();
-            const velocityAngle = Math.atan2(-vel.y, vel.x); // -y because y increases downward
-            
-            // Release at 45° (π/4 radians) for optimal trajectory
-            const targetReleaseAngle = Math.PI / 4; // 45 degrees
-            const angleTolerance = 0.05; // Small tolerance window
-            
-            // Only release if projectile has significant velocity and is near 45°
-            const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
-            if (speed > 10 && Math.abs(velocityAngle - targetReleaseAngle) < angleTolerance) {
-                this.world.destroyJoint(this.slingJoint);
-                this.slingJoint = null;
-                this.fired = true;
-                console.log('🎯 Sling released! Projectile angle:', (velocityAngle * 180 / Math.PI).toFixed(1), '° velocity:', speed.toFixed(1), 'm/s');
-            }
+    stepPhysics() {
+        // Viewing the past: move forward through the recording until the live frame is reached
+        if (this.isReplaying()) {
+            this.showReplayFrame(this.replayIndex + 1);
+            return;
         }
+
+        // Advance the launch one tick and mirror its state for rendering and the builders' listeners
+        const stepSize = this.getStepSize();
+        for (let i = 0; i < this.substeps; i++) {
+            this.launch.step(stepSize);
+        }
+        this.fired = this.launch.released;
+        this.projectileHitGround = this.launch.landed;
+        this.slingJoint = this.launch.slingJoint;
+        this.projectileTrajectory = this.launch.trajectory;
+        this.stats = { ...this.launch.stats, estimatedDistance: this.stats.estimatedDistance };
+        this.scoreShot();
+        this.recordReplayFrame();
     }
 
-    updateProjectileTracking() {
-        // Track projectile
-        if (this.projectile) {
-            // Keep projectile stopped if it already hit ground
-            if (this.projectileHitGround) {
-                this.projectile.setLinearVelocity(planck.Vec2(0, 0));
-                this.projectile.setAngularVelocity(0);
-                if (this.projectile.getType() !== 'static') {
-                    this.projectile.setType('static');
-                }
-            }
-            
-            const pos = this.projectile.getPosition();
-            this.projectileTrajectory.push({ x: pos.x * SCALE, y: pos.y * SCALE });
-            
-            // Update stats - real-time accurate
-            // Distance from starting X position (in meters)
-            const distance = pos.x - this.startX;
-            
-            // Height above starting position (Y increases downward, so subtract)
-            const height = this.startY - pos.y;
-            
-            // Update max distance (always show current distance if projectile moved right)
-            this.stats.distance = Math.max(0, distance);
-            
-            // Track current and max distance
-            if (distance > this.stats.maxDistance) {
-                this.stats.maxDistance = distance;
-            }
-            
-            // Track current and max height
-            this.stats.height = Math.max(0, height);
-            if (height > this.stats.maxHeight) {
-                this.stats.maxHeight = height;
-            }
-            
-            // Track velocity (current and max)
-            const vel = this.projectile.getLinearVelocity();
-            if (vel) {
-                const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
-                if (!isNaN(speed)) {
-                    this.stats.velocity = speed;
-                    if (speed > this.stats.maxVelocity) {
-                        this.stats.maxVelocity = speed;
-                    }
-                }
-            }
-            
-            // Track time (only if projectile hasn't hit ground yet)
-            if (!this.projectileHitGround) {
-                this.stats.time += 1/60;
-            }
+    // Count the shot once the LaunchController has called it a hit or a miss
+    scoreShot() {
+        const result = this.launch.targetResult;
+        if (!result || this.shotScored) return;
+        this.shotScored = true;
+        this.score.shots++;
+        if (result.hit) {
+            this.score.hits++;
+            console.log(`🎯 Target hit at ${result.x.toFixed(1)} m`);
+        } else {
+            console.log(`❌ Target missed by ${result.missDistance.toFixed(1)} m (${result.direction})`);
+        }
+        this.score.last = result;
+        if (window.updateScore) {
+            window.updateScore(this.getScore());
+        }
+    }
+
+    // Hits across shots, plus the wall blocks broken by the current shot
+    getScore() {
+        return { ...this.score, blocksBroken: this.target ? this.target.brokenCount : 0 };
+    }
+
+    resetScore() {
+        this.score = { shots: 0, hits: 0, last: null };
+        if (window.updateScore) {
+            window.updateScore(this.getScore());
+        }
+    }
+
+    recordReplayFrame() {
+        this.replay.record(this.world, {
+            stats: { ...this.stats },
+            fired: this.fired,
+            landed: this.projectileHitGround,
+            trajectoryLength: this.projectileTrajectory.length
+        });
+        this.replayIndex = this.replay.getLength() - 1;
+    }
+
+    // True while an earlier frame than the live one is on screen
+    isReplaying() {
+        return this.replayIndex < this.replay.getLength() - 1;
+    }
+
+    showReplayFrame(index) {
+        this.replayIndex = Math.max(0, Math.min(index, this.replay.getLength() - 1));
+        const frame = this.replay.getFrame(this.replayIndex);
+        if (frame) {
+            this.stats = { ...frame.stats, estimatedDistance: this.stats.estimatedDistance };
         }
     }
 
-    animate() {
+    getReplayState() {
+        const frame = this.replay.getFrame(this.replayIndex);
+        return {
+            index: this.replayIndex,
+            length: this.replay.getLength(),
+            time: frame ? frame.stats.time : 0
+        };
+    }
+
+    animate(timestamp) {
+        // Real time since the last frame, capped so a stalled or backgrounded tab doesn't replay seconds of physics at once
+        const now = timestamp !== undefined ? timestamp : performance.now();
+        const frameTime = this.lastFrameTime === null ? 0 : Math.min((now - this.lastFrameTime) / 1000, 0.25);
+        this.lastFrameTime = now;
+
         if (!this.paused) {
-            this.world.step(1/60);
-            this.checkSlingRelease();
-            this.updateProjectileTracking();
+            // Play speed scales simulated time; the physics tick itself never changes
+            this.accumulator += frameTime * this.timeScale;
+            while (this.accumulator >= this.physicsDt) {
+                this.stepPhysics();
+                this.accumulator -= this.physicsDt;
+            }
+        } else {
+            this.accumulator = 0;
         }
         
         this.render();
-        this.animationId = requestAnimationFrame(() => this.animate());
+        this.animationId = requestAnimationFrame((t) => this.animate(t));
     }
 
     render() {
@@ -223,35 +213,24 @@ class TrebuchetSimulator {
         this.ctx.fillStyle = '#0f0f13';
         this.ctx.fillRect(0, 0, rect.width, rect.height);
         
-        // Dynamic camera based on simulation state
-        let cameraScale, cameraOffsetX;
+        // Draw the replay frame on screen (the live state unless scrubbed back), or the bare world before any build
+        const frame = this.replay.getFrame(this.replayIndex) || this.replay.capture(this.world);
         
-        if (this.fired) {
-            // Animation running: zoom out to show full trajectory
-            const estimatedDistance = parseFloat(this.stats.estimatedDistance) || 100;
-            const totalWidth = estimatedDistance + 50; // Add some padding
-            cameraScale = rect.width / totalWidth; // Scale to fit in canvas width
-            cameraOffsetX = 50; // Trebuchet near left edge
-        } else {
-            // Before animation: zoomed in on trebuchet
-            cameraScale = 16; // Closer zoom
-            cameraOffsetX = rect.width / 2 - 130; // Center the trebuchet
-        }
-        
-        this.cameraScale = cameraScale;
-        this.cameraOffsetX = cameraOffsetX;
+        // Camera for this frame, from the selected camera mode
+        this.updateCamera(frame, rect);
+        const cameraScale = this.cameraScale;
+        const cameraOffsetX = this.cameraOffsetX;
+        const cameraOffsetY = this.cameraOffsetY;
         
-        // Calculate Y offset to keep ground at bottom of screen
-        // Ground's world Y position should always render at rect.height on screen
-        const groundWorldY = this.ground.getPosition().y;
-        const cameraOffsetY = rect.height - (groundWorldY * cameraScale);
+        if (this.showGrid) {
+            this.drawGrid(rect);
+        }
         
         // Draw all bodies
-        for (let body = this.world.getBodyList(); body; body = body.getNext()) {
+        frame.bodies.forEach(({ body, x, y, angle }) => {
             this.ctx.save();
-            const pos = body.getPosition();
-            this.ctx.translate(pos.x * cameraScale + cameraOffsetX, pos.y * cameraScale + cameraOffsetY);
-            this.ctx.rotate(body.getAngle());
+            this.ctx.translate(x * cameraScale + cameraOffsetX, y * cameraScale + cameraOffsetY);
+            this.ctx.rotate(angle);
             
             for (let fixture = body.getFixtureList(); fixture; fixture = fixture.getNext()) {
                 const shape = fixture.getShape();
@@ -274,19 +253,351 @@ class TrebuchetSimulator {
                 }
             }
             this.ctx.restore();
-        }
+        });
         
         // Draw joints
         this.ctx.strokeStyle = '#8B4513';
         this.ctx.lineWidth = 2;
-        for (let joint = this.world.getJointList(); joint; joint = joint.getNext()) {
-            const anchorA = joint.getAnchorA();
-            const anchorB = joint.getAnchorB();
-            
+        frame.joints.forEach(({ ax, ay, bx, by }) => {
+            this.ctx.beginPath();
+            this.ctx.moveTo(ax * cameraScale + cameraOffsetX, ay * cameraScale + cameraOffsetY);
+            this.ctx.lineTo(bx * cameraScale + cameraOffsetX, by * cameraScale + cameraOffsetY);
+            this.ctx.stroke();
+        });
+
+        if (this.showRuler) {
+            this.drawRuler(rect);
+            this.drawHeightGauge();
+        }
+
+        // Flight paths: previous shots faded, then the current one up to the frame on screen
+        const toScreen = (point) => ({ x: point.x * cameraScale + cameraOffsetX, y: point.y * cameraScale + cameraOffsetY });
+        this.ghostTrails.forEach((ghost, i) => {
+            const alpha = 0.15 + 0.2 * (i + 1) / this.ghostTrails.length; // Older shots fade further
+            this.drawTrajectory(ghost.points, ghost.markers, toScreen, alpha, false);
+        });
+        if (this.launch && frame.trajectoryLength) {
+            const points = this.launch.trajectory.slice(0, frame.trajectoryLength);
+            const markers = this.getTrajectoryMarkers(points, this.launch, frame.landed);
+            this.drawTrajectory(points, markers, toScreen, 1, true);
+        }
+    }
+
+    // Work out the camera's scale (pixels per meter) and screen offsets for this frame
+    updateCamera(frame, rect) {
+        const camera = this.camera;
+        if (camera.mode === 'follow') {
+            const projectileEntry = frame.bodies.find(entry => entry.body === this.projectile);
+            if (projectileEntry) {
+                camera.centerX = projectileEntry.x;
+                camera.centerY = projectileEntry.y;
+            }
+        } else if (camera.mode === 'fitMachine' || camera.mode === 'fitShot') {
+            const bounds = this.getMachineBounds(frame);
+            if (camera.mode === 'fitShot') {
+                // Everything flown so far, every ghost trail and the estimated landing spot
+                const points = this.launch ? this.launch.trajectory.slice(0, frame.trajectoryLength || 0) : [];
+                this.ghostTrails.forEach(ghost => points.push(...ghost.points));
+                if (this.launch) {
+                    points.push({ x: this.launch.startX + (parseFloat(this.stats.estimatedDistance) || 0), y: this.groundTop });
+                }
+                if (this.target) {
+                    points.push({ x: this.target.bounds.minX, y: this.target.bounds.minY });
+                    points.push({ x: this.target.bounds.maxX, y: this.target.bounds.maxY });
+                }
+                points.forEach(point => this.extendBounds(bounds, point.x, point.y));
+            }
+            if (bounds.minX <= bounds.maxX) {
+                // Keep the ground in view, with a margin all round
+                this.extendBounds(bounds, bounds.minX, this.groundTop + 1);
+                const padding = 0.1;
+                const width = (bounds.maxX - bounds.minX) * (1 + 2 * padding) || 1;
+                const height = (bounds.maxY - bounds.minY) * (1 + 2 * padding) || 1;
+                camera.scale = Math.max(0.2, Math.min(100, rect.width / width, rect.height / height));
+                camera.centerX = (bounds.minX + bounds.maxX) / 2;
+                camera.centerY = (bounds.minY + bounds.maxY) / 2;
+            }
+        }
+
+        this.cameraScale = camera.scale;
+        this.cameraOffsetX = rect.width / 2 - camera.centerX * camera.scale;
+        this.cameraOffsetY = rect.height / 2 - camera.centerY * camera.scale;
+    }
+
+    // Bounding box of every body except the ground and the target, as drawn in the frame
+    getMachineBounds(frame) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        frame.bodies.forEach(({ body, x, y, angle }) => {
+            if (body === this.ground || (this.target && this.target.bodies.includes(body))) return;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            for (let fixture = body.getFixtureList(); fixture; fixture = fixture.getNext()) {
+                const shape = fixture.getShape();
+                if (shape.getType() === 'circle') {
+                    const r = shape.getRadius();
+                    const c = shape.getCenter();
+                    const cx = x + c.x * cos - c.y * sin;
+                    const cy = y + c.x * sin + c.y * cos;
+                    this.extendBounds(bounds, cx - r, cy - r);
+                    this.extendBounds(bounds, cx + r, cy + r);
+                } else if (shape.getType() === 'polygon') {
+                    shape.m_vertices.forEach(v => {
+                        this.extendBounds(bounds, x + v.x * cos - v.y * sin, y + v.x * sin + v.y * cos);
+                    });
+                }
+            }
+        });
+        return bounds;
+    }
+
+    extendBounds(bounds, x, y) {
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxY = Math.max(bounds.maxY, y);
+    }
+
+    setCameraMode(mode) {
+        this.camera.mode = mode;
+    }
+
+    // Zoom by factor about a point on the canvas, keeping the world point under it in place
+    // Follow mode keeps following at the new zoom; the fit modes hand over to manual
+    zoomCamera(factor, screenX, screenY) {
+        const camera = this.camera;
+        if (camera.mode === 'fitMachine' || camera.mode === 'fitShot') {
+            camera.mode = 'manual';
+        }
+        const worldX = (screenX - this.cameraOffsetX) / this.cameraScale;
+        const worldY = (screenY - this.cameraOffsetY) / this.cameraScale;
+        const newScale = Math.max(0.2, Math.min(200, camera.scale * factor));
+        if (camera.mode === 'manual') {
+            // Shift the centre so (worldX, worldY) stays under the cursor
+            camera.centerX = worldX - (worldX - camera.centerX) * camera.scale / newScale;
+            camera.centerY = worldY - (worldY - camera.centerY) * camera.scale / newScale;
+        }
+        camera.scale = newScale;
+    }
+
+    // Drag the view by a screen distance in pixels; always switches to manual
+    panCamera(dx, dy) {
+        const camera = this.camera;
+        camera.mode = 'manual';
+        camera.centerX -= dx / camera.scale;
+        camera.centerY -= dy / camera.scale;
+    }
+
+    // Distances on the ruler and grid are measured from the projectile's starting point, like the stats
+    getRulerOriginX() {
+        return this.launch ? this.launch.startX : this.trebuchetX;
+    }
+
+    // Round tick spacing (1, 2 or 5 times a power of ten meters) at least minPixels apart at the current zoom
+    getTickSpacing(minPixels = 60) {
+        const minMeters = minPixels / this.cameraScale;
+        const power = Math.pow(10, Math.floor(Math.log10(minMeters)));
+        for (const multiple of [1, 2, 5, 10]) {
+            if (multiple * power >= minMeters) {
+                return multiple * power;
+            }
+        }
+        return 10 * power;
+    }
+
+    // Tick values (meters from origin) that fall within a screen span
+    getTickValues(origin, screenMin, screenMax, offset, spacing) {
+        const worldMin = (screenMin - offset) / this.cameraScale - origin;
+        const worldMax = (screenMax - offset) / this.cameraScale - origin;
+        const values = [];
+        for (let v = Math.ceil(worldMin / spacing) * spacing; v <= worldMax; v += spacing) {
+            values.push(Math.abs(v) < spacing / 1000 ? 0 : v); // No -0 from rounding
+        }
+        return values;
+    }
+
+    formatMeters(value, spacing) {
+        return value.toFixed(spacing < 1 ? Math.ceil(-Math.log10(spacing)) : 0) + ' m';
+    }
+
+    // World-space grid lined up with the ruler: verticals every tick from the start point, horizontals every tick above the ground
+    drawGrid(rect) {
+        const spacing = this.getTickSpacing();
+        const originX = this.getRulerOriginX();
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        this.ctx.lineWidth = 1;
+        this.getTickValues(originX, 0, rect.width, this.cameraOffsetX, spacing).forEach(v => {
+            const x = (originX + v) * this.cameraScale + this.cameraOffsetX;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, rect.height);
+            this.ctx.stroke();
+        });
+        // Heights run upward, so measure screen rows from the ground top with the sign flipped
+        this.getTickValues(this.groundTop, 0, rect.height, this.cameraOffsetY, spacing).forEach(v => {
+            const y = (this.groundTop + v) * this.cameraScale + this.cameraOffsetY;
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(rect.width, y);
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    // Ruler along the ground: major ticks labelled in meters from the start point, minor ticks between
+    drawRuler(rect) {
+        const spacing = this.getTickSpacing();
+        const originX = this.getRulerOriginX();
+        const groundY = this.groundTop * this.cameraScale + this.cameraOffsetY;
+        this.ctx.save();
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.lineWidth = 1;
+        this.ctx.font = '11px sans-serif';
+        this.ctx.textAlign = 'center';
+        this.getTickValues(originX, 0, rect.width, this.cameraOffsetX, spacing / 5).forEach(v => {
+            const x = (originX + v) * this.cameraScale + this.cameraOffsetX;
+            const major = Math.abs(v / spacing - Math.round(v / spacing)) < 1e-6;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, groundY);
+            this.ctx.lineTo(x, groundY + (major ? 10 : 4));
+            this.ctx.stroke();
+            if (major) {
+                this.ctx.fillText(this.formatMeters(v, spacing), x, groundY + 22);
+            }
+        });
+        this.ctx.restore();
+    }
+
+    // Height gauge up the pivot column, from the ground to the pivot
+    drawHeightGauge() {
+        const pivotHeight = this.parameters.armHeight;
+        if (!pivotHeight) return;
+        const spacing = this.getTickSpacing(30);
+        const x = (this.trebuchetX - 0.5) * this.cameraScale + this.cameraOffsetX - 4; // Just left of the column
+        const toScreenY = (height) => (this.groundTop - height) * this.cameraScale + this.cameraOffsetY;
+        this.ctx.save();
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.lineWidth = 1;
+        this.ctx.font = '11px sans-serif';
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, toScreenY(0));
+        this.ctx.lineTo(x, toScreenY(pivotHeight));
+        this.ctx.stroke();
+        for (let h = spacing; h < pivotHeight - spacing / 4; h += spacing) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(x - 5, toScreenY(h));
+            this.ctx.lineTo(x, toScreenY(h));
+            this.ctx.stroke();
+            this.ctx.fillText(this.formatMeters(h, spacing), x - 7, toScreenY(h));
+        }
+        // Pivot height itself, highlighted
+        this.ctx.fillStyle = '#FFD700';
+        this.ctx.fillRect(x - 8, toScreenY(pivotHeight) - 1, 8, 2);
+        this.ctx.fillText('Pivot ' + this.formatMeters(pivotHeight, 0.1), x - 10, toScreenY(pivotHeight));
+        this.ctx.restore();
+    }
+
+    setShowGrid(show) {
+        this.showGrid = show;
+    }
+
+    setShowRuler(show) {
+        this.showRuler = show;
+    }
+
+    // Release, apex and impact points of a flight path (any of them null until reached)
+    getTrajectoryMarkers(points, launch, landed) {
+        const markers = { release: null, apex: null, impact: null };
+        const release = launch.releaseState;
+        if (!release || release.trajectoryIndex >= points.length) {
+            return markers;
+        }
+
+        const releasePoint = points[release.trajectoryIndex];
+        markers.release = { ...releasePoint, index: release.trajectoryIndex, speed: release.speed, angle: release.velocityAngle };
+
+        // Highest point of the free flight (smallest y, since y increases downward)
+        let apexPoint = releasePoint;
+        for (let i = release.trajectoryIndex; i < points.length; i++) {
+            if (points[i].y < apexPoint.y) {
+                apexPoint = points[i];
+            }
+        }
+        markers.apex = { ...apexPoint, height: launch.startY - apexPoint.y };
+
+        if (landed) {
+            const impactPoint = points[points.length - 1];
+            markers.impact = { ...impactPoint, range: impactPoint.x - launch.startX };
+        }
+        return markers;
+    }
+
+    drawTrajectory(points, markers, toScreen, alpha, showLabels) {
+        if (points.length < 2) return;
+        this.ctx.save();
+        this.ctx.globalAlpha = alpha;
+
+        // The path itself: dashed while still in the sling, solid in free flight
+        const releaseIndex = markers.release ? markers.release.index : points.length - 1;
+        const strokePath = (from, to, dash) => {
+            if (to - from < 1) return;
+            this.ctx.setLineDash(dash);
             this.ctx.beginPath();
-            this.ctx.moveTo(anchorA.x * cameraScale + cameraOffsetX, anchorA.y * cameraScale + cameraOffsetY);
-            this.ctx.lineTo(anchorB.x * cameraScale + cameraOffsetX, anchorB.y * cameraScale + cameraOffsetY);
+            for (let i = from; i <= to; i++) {
+                const screen = toScreen(points[i]);
+                if (i === from) {
+                    this.ctx.moveTo(screen.x, screen.y);
+                } else {
+                    this.ctx.lineTo(screen.x, screen.y);
+                }
+            }
             this.ctx.stroke();
+        };
+        this.ctx.strokeStyle = '#FFD700';
+        this.ctx.lineWidth = 2;
+        strokePath(0, releaseIndex, [4, 4]);
+        strokePath(releaseIndex, points.length - 1, []);
+        this.ctx.setLineDash([]);
+
+        // Markers, each with a label for the number it marks
+        const drawMarker = (marker, color, label) => {
+            if (!marker) return;
+            const screen = toScreen(marker);
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.arc(screen.x, screen.y, 5, 0, Math.PI * 2);
+            this.ctx.fill();
+            if (showLabels) {
+                this.ctx.font = '12px sans-serif';
+                this.ctx.fillStyle = '#EEEEEE';
+                this.ctx.fillText(label, screen.x + 8, screen.y - 8);
+            }
+        };
+        if (markers.release) {
+            drawMarker(markers.release, '#00BFFF', `Release ${markers.release.speed.toFixed(1)} m/s @ ${markers.release.angle.toFixed(0)}°`);
+        }
+        if (markers.apex) {
+            drawMarker(markers.apex, '#7CFC00', `Apex ${markers.apex.height.toFixed(1)} m`);
+        }
+        if (markers.impact) {
+            drawMarker(markers.impact, '#FF4500', `Impact ${markers.impact.range.toFixed(1)} m`);
+        }
+        this.ctx.restore();
+    }
+
+    // Keep the finished shot's free flight as a ghost trail before the machine is rebuilt
+    saveGhostTrail() {
+        if (!this.launch || !this.launch.released) return;
+        const markers = this.getTrajectoryMarkers(this.launch.trajectory, this.launch, this.launch.landed);
+        const points = this.launch.trajectory.slice(markers.release.index);
+        markers.release.index = 0;
+        this.ghostTrails.push({ points, markers });
+        if (this.ghostTrails.length > this.maxGhostTrails) {
+            this.ghostTrails.shift();
         }
     }
 
@@ -294,7 +605,7 @@ class TrebuchetSimulator {
         // Estimate throw distance based on trebuchet parameters
         // Using simplified energy conservation and projectile motion
         const params = this.parameters;
-        const g = 10; // gravity m/s²
+        const g = this.environment.gravity; // gravity m/s²
         
         // Energy available from counterweight drop
         // Assume counterweight drops about 70% of counterweight arm length
@@ -328,34 +639,32 @@ class TrebuchetSimulator {
     }
 
     getDefaultParameters() {
-        return {
-            projectileArmLength: 14,  // Projectile side (formerly 70% of 20)
-            counterweightArmLength: 6,  // Counterweight side (formerly 30% of 20)
-            counterweightMass: 200,
-            counterweightSize: 1,
-            projectileMass: 10,
-            projectileSize: 0.4,  // diameter (was 0.2 radius)
-            slingLength: 12,
-            armMass: 30,
-            releaseAngle: 45,
-            armHeight: 13
-        };
+        return getDefaultParameters();
     }
     
     getBuilderClass(type) {
-        const classMap = {
-            fixed: FixedCounterweightTrebuchetBuilder,
-            hinged: HingedCounterweightTrebuchetBuilder,
-            whipper: WhipperTrebuchetBuilder,
-            floating: FloatingArmTrebuchetBuilder,
-            walking: WalkingArmTrebuchetBuilder,
-            sandbox: SandboxTrebuchetBuilder
-        };
-        return classMap[type];
+        return getBuilderClass(type);
+    }
+    
+    getBuilderDefaults(type) {
+        return getBuilderDefaults(type);
     }
     
     buildTrebuchet(type, params) {
         // Clear existing trebuchet
+        if (this.launch) {
+            this.saveGhostTrail();
+            this.launch.destroy();
+            this.launch = null;
+        }
+        if (this.target) {
+            this.target.destroy();
+            this.target = null;
+        }
+        if (this.builderCleanup) {
+            this.builderCleanup();
+            this.builderCleanup = null;
+        }
         if (this.trebuchetBodies) {
             this.trebuchetBodies.forEach(body => {
                 this.world.destroyBody(body);
@@ -368,12 +677,18 @@ class TrebuchetSimulator {
         }
 
         this.trebuchetType = type;
-        this.parameters = { ...this.getDefaultParameters(), ...params };
-        this.fired = false;        this.projectileHitGround = false; // Reset hit ground flag        this.projectileTrajectory = [];
-        this.stats = { distance: 0, height: 0, maxDistance: 0, maxHeight: 0, velocity: 0, maxVelocity: 0, time: 0, estimatedDistance: 0 };
+        this.parameters = resolveParameters(type, params);
+        // Gravity may have changed in the Environment section since the last build
+        this.world.setGravity(planck.Vec2(0, this.environment.gravity));
+        this.fired = false;
+        this.projectileHitGround = false; // Reset hit ground flag
+        this.projectileTrajectory = [];
+        this.stats = { distance: 0, height: 0, maxDistance: 0, maxHeight: 0, velocity: 0, maxVelocity: 0, time: 0, flightTime: 0, estimatedDistance: 0 };
         
-        // Run silent simulation to calculate estimated distance
+        // Run silent simulation to calculate estimated distance, and fit the ground to it
+        // (the energy estimate stands in when the projectile is never released)
         this.calculateEstimatedDistance();
+        this.sizeGround(this.stats.estimatedDistance !== null ? parseFloat(this.stats.estimatedDistance) : this.estimateThrowDistance());
 
         const rect = this.canvas.getBoundingClientRect();
         const baseX = 200 / SCALE;
@@ -396,29 +711,21 @@ class TrebuchetSimulator {
         this.joints = result.joints;
         this.projectile = result.projectile;
         this.slingJoint = result.slingJoint;
-        const projPos = this.projectile.getPosition();
-        this.startX = projPos.x;
-        this.startY = projPos.y;
-    }
+        this.builderCleanup = result.cleanup || null; // Removes the builder's world listeners before the next build
+        if (this.targetSettings.mode !== 'off') {
+            this.target = new Target(this.world, this.groundTop, this.projectile.getPosition().x, this.targetSettings);
+        }
+        this.launch = new LaunchController(this.world, this.ground, result, this.parameters, this.environment, this.target);
+        this.shotScored = false;
+        this.startX = this.launch.startX;
+        this.startY = this.launch.startY;
 
-    fire() {
-        if (this.fired || !this.projectile) return;
-        
-        // Unpause if paused
-        if (this.paused) {
-            this.paused = false;
+        // Fresh recording, starting from the machine at rest
+        this.replay.clear();
+        this.recordReplayFrame();
+        if (window.updateTimeline) {
+            window.updateTimeline(this.getReplayState());
         }
-        
-        this.fired = true;
-        this.stats = { distance: 0, height: 0, maxDistance: 0, maxHeight: 0, velocity: 0, maxVelocity: 0, time: 0 };
-        
-        // Release sling immediately or at appropriate angle
-        setTimeout(() => {
-            if (this.slingJoint) {
-                this.world.destroyJoint(this.slingJoint);
-                this.slingJoint = null;
-            }
-        }, 100);
     }
 
     reset() {
@@ -429,6 +736,10 @@ class TrebuchetSimulator {
 
     pause() {
         this.paused = !this.paused;
+        // Playing starts the throw; stepping frame by frame before that leaves a held machine at rest
+        if (!this.paused && this.launch) {
+            this.launch.start();
+        }
         return this.paused;
     }
 
@@ -437,11 +748,9 @@ class TrebuchetSimulator {
         const wasPaused = this.paused;
         this.paused = true;
         
-        // Step forward the specified number of frames
+        // Step forward the specified number of physics ticks
         for (let i = 0; i < numSteps; i++) {
-            this.world.step(1/60);
-            this.checkSlingRelease();
-            this.updateProjectileTracking();
+            this.stepPhysics();
         }
         
         // Render after stepping
@@ -451,76 +760,99 @@ class TrebuchetSimulator {
         if (window.updateStats) {
             window.updateStats(this.getStats());
         }
+        if (window.updateTimeline) {
+            window.updateTimeline(this.getReplayState());
+        }
         
         //console.log(`⏭️  Stepped forward ${numSteps} frame(s)`);
     }
 
+    stepBackward(numSteps = 1) {
+        this.seek(this.replayIndex - numSteps);
+    }
+
+    // Jump to any recorded frame; the simulation pauses there and resumes through the recording
+    seek(index) {
+        this.paused = true;
+        this.showReplayFrame(index);
+        this.render();
+        
+        if (window.updateStats) {
+            window.updateStats(this.getStats());
+        }
+        if (window.updateTimeline) {
+            window.updateTimeline(this.getReplayState());
+        }
+    }
+
     updateParameter(param, value) {
-        this.parameters[param] = parseFloat(value);
+        // Numeric inputs arrive as strings; option parameters (e.g. counterweightShape) stay strings
+        const number = parseFloat(value);
+        this.parameters[param] = isNaN(number) ? value : number;
         this.reset();
     }
 
-    calculateEstimatedDistance() {
-        // Create a temporary world for silent simulation
-        const tempWorld = planck.World({
-            gravity: planck.Vec2(0, 10)
-        });
-        
-        // Create temporary simulator context
-        const tempSimulator = {
-            world: tempWorld,
-            ground: this.ground
+    // Several parameters at once (e.g. a cell of the parameter map), rebuilding only once
+    updateParameters(changes) {
+        Object.assign(this.parameters, changes);
+        this.reset();
+    }
+
+    // Swap in a saved design or preset: its parameters on top of the type's defaults, not the previous machine's values
+    loadDesign(design) {
+        this.buildTrebuchet(design.type, design.parameters);
+        this.paused = true;
+    }
+
+    updateEnvironment(setting, value) {
+        // Gravity, air and wind apply to every trebuchet type, so they live outside this.parameters
+        this.environment[setting] = parseFloat(value);
+        this.reset();
+    }
+
+    updateTarget(setting, value) {
+        // The mode stays a string; distance, height and size are numbers
+        const number = parseFloat(value);
+        this.targetSettings[setting] = isNaN(number) ? value : number;
+        this.reset();
+    }
+
+    setReleaseCriterion(criterion) {
+        // 'velocity', 'sling' or 'arm' - see LaunchController.getSlingReleaseAngle()
+        this.parameters.releaseCriterion = criterion;
+        this.reset();
+    }
+
+    // simulateLaunch() options that reproduce the live launch: same spot, environment, target and world step size
+    // Used by the estimated distance
+    getLaunchOptions() {
+        return {
+            baseX: 200 / SCALE,
+            environment: { ...this.environment },
+            target: { ...this.targetSettings },
+            dt: this.getStepSize()
         };
+    }
+
+    // The same launch in free flight, for measuring ranges (sweeps, maps and the optimizer): a target wall would
+    // stop the projectile short
+    getRangeLaunchOptions() {
+        return { ...this.getLaunchOptions(), target: null };
+    }
+
+    calculateEstimatedDistance() {
+        // Run the same launch silently in its own world, so the estimate matches the throw
+        const result = simulateLaunch(this.trebuchetType, this.parameters, this.getLaunchOptions());
         
-        // Get builder and rebuild trebuchet in temp world
-        const builderClass = this.getBuilderClass(this.trebuchetType);
-        const builder = new builderClass(tempSimulator);
-        const baseX = 10;
-        const result = builder.build(baseX, this.groundTop, this.parameters);
-        
-        const tempProjectile = result.projectile;
-        const tempSlingJoint = result.slingJoint;
-        let tempFired = false;
-        let tempProjectileHitGround = false;
-        let maxX = 0;
-        let simTime = 0;
-        const maxSimTime = 30; // Run for max 30 seconds
-        const dt = 1/60; // 60 FPS
-        
-        // Run simulation silently
-        while (simTime < maxSimTime && !tempProjectileHitGround) {
-            tempWorld.step(dt);
-            simTime += dt;
-            
-            // Check for sling release
-            if (tempSlingJoint && tempProjectile && !tempFired) {
-                const vel = tempProjectile.getLinearVelocity();
-                const velocityAngle = Math.atan2(-vel.y, vel.x);
-                const targetReleaseAngle = Math.PI / 4;
-                const angleTolerance = 0.05;
-                const speed = Math.sqrt(vel.x * vel.x + vel.y * vel.y);
-                
-                if (speed > 10 && Math.abs(velocityAngle - targetReleaseAngle) < angleTolerance) {
-                    tempWorld.destroyJoint(tempSlingJoint);
-                    tempFired = true;
-                }
-            }
-            
-            // Track max distance
-            if (tempProjectile && tempFired) {
-                const pos = tempProjectile.getPosition();
-                maxX = Math.max(maxX, pos.x - baseX);
-                
-                // Check if projectile hit ground (Y position > groundTop)
-                if (pos.y >= this.groundTop) {
-                    tempProjectileHitGround = true;
-                }
-            }
+        // null when the release angle is never reached and the projectile stays in the sling
+        if (result.released) {
+            this.stats.estimatedDistance = result.range.toFixed(2);
+            console.log('🎯 Estimated Distance (simulated):', result.range.toFixed(2), 'm');
+        } else {
+            this.stats.estimatedDistance = null;
+            console.log('⚠️ Estimated Distance (simulated): the projectile is never released');
         }
         
-        this.stats.estimatedDistance = maxX.toFixed(2);
-        console.log('🎯 Estimated Distance (simulated):', maxX.toFixed(2), 'm');
-        
         // Update stats display if available
         if (window.updateStats) {
             window.updateStats(this.getStats());
@@ -536,13 +868,18 @@ class TrebuchetSimulator {
             maxHeight: Math.max(0, this.stats.maxHeight).toFixed(2),
             maxVelocity: Math.max(0, this.stats.maxVelocity).toFixed(2),
             time: this.stats.time.toFixed(2),
-            estimatedDistance: this.stats.estimatedDistance || '0'
+            estimatedDistance: this.stats.estimatedDistance === null ? null : this.stats.estimatedDistance || '0'
         };
     }
     
     setPlaySpeed(speed) {
-        // Planck.js doesn't have built-in time scaling
-        // Would need to adjust step size in animate()
+        // Scales simulated time against real time in animate(), e.g. 0.05 for slow motion
         this.timeScale = parseFloat(speed);
     }
+
+    setSubsteps(substeps) {
+        // More world steps per tick: steadier joints and contacts at the cost of CPU
+        this.substeps = Math.max(1, Math.round(parseFloat(substeps)) || 1);
+        this.reset();
+    }
 }
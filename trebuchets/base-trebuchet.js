@@ -13,7 +13,8 @@ class BaseTrebuchetBuilder {
         const projectile = this.simulator.world.createBody({
             position: planck.Vec2(x, y),
             type: 'dynamic',
-            bullet: true // Enable CCD for fast-moving projectile
+            bullet: true, // Enable CCD for fast-moving projectile
+            userData: { name: 'projectile' } // Debug label
         });
         projectile.createFixture({
             shape: planck.Circle(projectileRadius),
@@ -21,50 +22,147 @@ class BaseTrebuchetBuilder {
             restitution: 0.6,
             friction: 0.5,
             filterCategoryBits: 0x0008, // Projectile category
-            filterMaskBits: 0x0001, // Only collide with ground
-            userData: { color: '#FF4500' }
+            filterMaskBits: 0x0001 | 0x0020, // Only collide with ground and targets
+            userData: { color: '#FF4500', name: 'projectile' }
         });
         
-        // Debug projectile properties
-        console.log('🎯 PROJECTILE CREATED:',
-            '\n  Position:', projectile.getPosition(),
-            '\n  Type:', projectile.getType(),
-            '\n  Bullet:', projectile.isBullet(),
-            '\n  Fixture category:', projectile.getFixtureList().getFilterCategoryBits().toString(16),
-            '\n  Fixture mask:', projectile.getFixtureList().getFilterMaskBits().toString(16));
-        
         return projectile;
     }
 
+    // Common method to create the static frame column from the ground up to the pivot
+    createFrame(x, groundY, height) {
+        const frameHeight = height / 2; // Half-height for Box shape
+        const frame = this.simulator.world.createBody({
+            position: planck.Vec2(x, groundY - frameHeight),
+            userData: { name: 'frame' } // Debug label
+        });
+        frame.createFixture({
+            shape: planck.Box(0.5, frameHeight),
+            friction: 0.5,
+            filterCategoryBits: 0x0002,
+            filterMaskBits: 0x0001,
+            userData: { color: '#8B4513', name: 'frame' }
+        });
+        return frame;
+    }
+
+    // Common method to create the throwing arm
+    // leftLength is the projectile side, rightLength the counterweight side of the pivot
+    createArm(x, y, angle, leftLength, rightLength, mass) {
+        const armLength = leftLength + rightLength;
+        const armThickness = 1;
+        const arm = this.simulator.world.createBody({
+            position: planck.Vec2(x, y),
+            type: 'dynamic',
+            angle: angle,
+            userData: { name: 'arm' } // Debug label
+        });
+        arm.createFixture({
+            shape: planck.Box(armLength / 2, armThickness / 2, planck.Vec2((rightLength - leftLength) / 2, 0), 0),
+            density: mass / (armLength * armThickness),
+            friction: 0.5,
+            filterCategoryBits: 0x0010, // Arm category
+            filterMaskBits: 0x0001, // Only collide with ground
+            userData: { color: '#D2691E', name: 'arm' }
+        });
+        return arm;
+    }
+
+    // Common method to place the projectile on the ground with the sling laid out taut
+    // Returns the projectile centre for a sling attached at (attachX, attachY)
+    getProjectileStartPosition(attachX, attachY, groundY, params) {
+        const projectileRadius = params.projectileSize / 2;
+        const slingLength = params.slingLength;
+        const projY = groundY - projectileRadius;
+        const verticalDistance = Math.abs(projY - attachY);
+        
+        // Extend to the right to keep the exact sling length, or hang directly below if the sling is shorter
+        let projX = attachX;
+        if (slingLength > verticalDistance) {
+            projX = attachX + Math.sqrt(slingLength * slingLength - verticalDistance * verticalDistance);
+        }
+        return planck.Vec2(projX, projY);
+    }
+
     // Common method to create sling joint
-    createSling(arm, projectile, slingPointLocal, slingLength) {
+    createSling(arm, projectile, slingPointLocal, slingLength, dampingRatio = 0.1, frequencyHz = 2.0) {
         const slingJoint = this.simulator.world.createJoint(planck.DistanceJoint({
             bodyA: arm,
             bodyB: projectile,
             localAnchorA: slingPointLocal,
             localAnchorB: planck.Vec2(0, 0),
             length: slingLength,
-            dampingRatio: 0.1,
-            frequencyHz: 2.0
+            dampingRatio: dampingRatio,
+            frequencyHz: frequencyHz
         }));
         return slingJoint;
     }
 
+    // Counterweight shape choices, shared by every builder's parameter config
+    static getCounterweightShapeOptions() {
+        return [
+            { value: 'sphere', label: 'Sphere' },
+            { value: 'box', label: 'Box' },
+            { value: 'bucket', label: 'Tall Bucket' }
+        ];
+    }
+
     // Common method to create counterweight
-    createCounterweight(x, y, size, mass) {
+    // The body origin is where the arm or drop link attaches:
+    //   sphere - ball of radius size, attached at its centre; the hinged, fixed and sandbox builders' original
+    //            counterweight, kept exactly: lightly damped and colliding with nothing
+    //   box    - cube of side size, attached at its centre
+    //   bucket - open box size wide and twice as tall, hung from its rim; most of the
+    //            mass is the fill in the bottom half, so the centroid sits well below the attachment
+    createCounterweight(x, y, size, mass, shape = 'box') {
         const cwSize = size;
+        const isSphere = shape === 'sphere';
         const counterweight = this.simulator.world.createBody({
             position: planck.Vec2(x, y),
-            type: 'dynamic'
+            type: 'dynamic',
+            linearDamping: isSphere ? 0.1 : 0,
+            angularDamping: isSphere ? 0.1 : 0,
+            userData: { name: 'counterweight' } // Debug label
         });
-        counterweight.createFixture({
-            shape: planck.Box(cwSize / 2, cwSize / 2),
-            density: mass / (cwSize * cwSize),
+        const fixtureDef = {
             friction: 0.5,
             filterCategoryBits: 0x0004,
-            filterMaskBits: 0x0001 | 0x0004 | 0x0008,
-            userData: { color: '#696969' }
-        });
+            filterMaskBits: isSphere ? 0x0000 : 0x0001 | 0x0004 | 0x0008,
+            userData: { color: '#696969', name: 'counterweight' }
+        };
+
+        if (shape === 'bucket') {
+            const wallThickness = cwSize * 0.1;
+            const fillMass = mass * 0.85;
+            const wallMass = (mass - fillMass) / 2;
+            // Fill - bottom half of the bucket
+            counterweight.createFixture({
+                ...fixtureDef,
+                shape: planck.Box(cwSize / 2, cwSize / 2, planck.Vec2(0, cwSize * 1.5), 0),
+                density: fillMass / (cwSize * cwSize)
+            });
+            // Side walls - full height, from the rim down
+            [-1, 1].forEach(side => {
+                counterweight.createFixture({
+                    ...fixtureDef,
+                    shape: planck.Box(wallThickness / 2, cwSize, planck.Vec2(side * (cwSize - wallThickness) / 2, cwSize), 0),
+                    density: wallMass / (wallThickness * cwSize * 2)
+                });
+            });
+        } else if (isSphere) {
+            const cwRadius = cwSize;
+            counterweight.createFixture({
+                ...fixtureDef,
+                shape: planck.Circle(cwRadius),
+                density: mass / (Math.PI * cwRadius * cwRadius)
+            });
+        } else {
+            counterweight.createFixture({
+                ...fixtureDef,
+                shape: planck.Box(cwSize / 2, cwSize / 2),
+                density: mass / (cwSize * cwSize)
+            });
+        }
         return counterweight;
     }
 
@@ -83,7 +181,15 @@ class BaseTrebuchetBuilder {
     }
 
     // Abstract method - must be implemented by subclasses
+    // Returns { bodies, joints, projectile, slingJoint }, plus optionally
+    //   start()   - lets go of a machine held at rest (e.g. a hook), called once when the throw begins
+    //   cleanup() - removes world listeners the builder added: the world outlives the machine in the
+    //               live simulator, so a rebuild calls it first
     build(baseX, baseY, params) {
         throw new Error('build() must be implemented by subclass');
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BaseTrebuchetBuilder;
+}
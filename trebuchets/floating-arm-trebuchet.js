@@ -1,10 +1,171 @@
 // Floating Arm Trebuchet
-// The arm pivot can move horizontally for enhanced energy transfer
-// TODO: Implement floating-arm-specific mechanics
+// The arm pivot axle rolls on a horizontal track while the counterweight
+// falls straight down in a vertical guide, so almost all of its drop goes into the arm
 
-class FloatingArmTrebuchetBuilder extends HingedCounterweightTrebuchetBuilder {
-    // Using hinged trebuchet as placeholder
+class FloatingArmTrebuchetBuilder extends BaseTrebuchetBuilder {
     static getParameterConfig() {
-        return HingedCounterweightTrebuchetBuilder.getParameterConfig();
+        return [
+            { id: 'projectileArmLength', label: 'Arm Length (Projectile)', unit: 'm', step: 1, min: 1, max: 50, default: 14 },
+            { id: 'counterweightArmLength', label: 'Arm Length (Counterweight)', unit: 'm', step: 1, min: 1, max: 30, default: 6 },
+            { id: 'armHeight', label: 'Track Height', unit: 'm', step: 0.5, min: 5, max: 40, default: 13 },
+            { id: 'armMass', label: 'Arm Mass', unit: 'kg', step: 5, min: 5, max: 500, default: 30 },
+            { id: 'counterweightMass', label: 'Counterweight Mass', unit: 'kg', step: 10, min: 10, max: 1000, default: 200 },
+            { id: 'counterweightSize', label: 'Counterweight Size', unit: 'm', step: 0.1, min: 0.1, max: 5, default: 1 },
+            { id: 'counterweightShape', label: 'Counterweight Shape', options: BaseTrebuchetBuilder.getCounterweightShapeOptions(), default: 'box' },
+            { id: 'projectileMass', label: 'Projectile Mass', unit: 'kg', step: 1, min: 1, max: 100, default: 10 },
+            { id: 'projectileSize', label: 'Projectile Diameter', unit: 'm', step: 0.05, min: 0.1, max: 3, default: 0.4 },
+            { id: 'slingLength', label: 'Sling Length', unit: 'm', step: 0.5, min: 1, max: 30, default: 12 },
+            { id: 'trackLength', label: 'Track Length', unit: 'm', step: 1, min: 2, max: 40, default: 12 },
+            { id: 'guideHeight', label: 'Guide Height', unit: 'm', step: 0.5, min: 0.5, max: 30, default: 5 },
+            { id: 'axleFriction', label: 'Axle Wheel Friction', unit: 'μ', step: 0.01, min: 0, max: 1, default: 0.05 },
+            { id: 'releaseAngle', label: 'Release Angle', unit: '°', step: 5, min: 0, max: 90, default: 45 }
+        ];
     }
+
+    build(baseX, baseY, params) {
+        const bodies = [];
+        const joints = [];
+        const world = this.simulator.world;
+        const leftArmLength = params.projectileArmLength;
+        const rightArmLength = params.counterweightArmLength;
+        const trackHeight = params.armHeight || 13;
+        const trackLength = params.trackLength || 12;
+        const axleFriction = params.axleFriction !== undefined ? params.axleFriction : 0.05;
+        const cwSize = params.counterweightSize || 1;
+
+        // Counterweight starts guideHeight above the track, limited so the arm never starts
+        // vertical and its projectile end stays clear of the ground
+        const trackY = baseY - trackHeight;
+        const maxTilt = Math.min(0.95, (trackHeight - 1) / leftArmLength);
+        const cwRise = Math.min(params.guideHeight || 5, rightArmLength * maxTilt);
+        const armAngle = -Math.asin(cwRise / rightArmLength);
+        const axleX = baseX;
+        const cwX = axleX + rightArmLength * Math.cos(armAngle);
+        const cwY = trackY - cwRise;
+
+        // Track - static rail the axle rolls on, extending behind the machine
+        // The axle rolls backwards as the counterweight drops, so most of the track lies behind it
+        const trackFront = 1;
+        const track = world.createBody({
+            position: planck.Vec2(axleX, trackY),
+            userData: { name: 'track' } // Debug label
+        });
+        track.createFixture({
+            shape: planck.Box(trackLength / 2, 0.15, planck.Vec2(trackFront - trackLength / 2, 0.55), 0),
+            filterMaskBits: 0x0000, // Visual only
+            userData: { color: '#8B4513', name: 'track' }
+        });
+        [trackFront, trackFront - trackLength].forEach(legX => {
+            track.createFixture({
+                shape: planck.Box(0.25, trackHeight / 2, planck.Vec2(legX, trackHeight / 2), 0),
+                filterMaskBits: 0x0000,
+                userData: { color: '#8B4513', name: 'track leg' }
+            });
+        });
+        bodies.push(track);
+
+        // Axle carriage - wheel riding the track, free to translate horizontally
+        const carriage = world.createBody({
+            position: planck.Vec2(axleX, trackY),
+            type: 'dynamic',
+            userData: { name: 'axle' } // Debug label
+        });
+        carriage.createFixture({
+            shape: planck.Circle(0.4),
+            density: 10,
+            filterMaskBits: 0x0000,
+            userData: { color: '#333333', name: 'axle' }
+        });
+        bodies.push(carriage);
+
+        // Rolling resistance modelled as a stalled motor whose force limit is μ times the load on the axle
+        const axleLoad = ((params.armMass || 30) + (params.counterweightMass || 200)) * Math.abs(world.getGravity().y);
+        const trackJoint = world.createJoint(planck.PrismaticJoint({
+            bodyA: track,
+            bodyB: carriage,
+            localAnchorA: planck.Vec2(0, 0),
+            localAnchorB: planck.Vec2(0, 0),
+            localAxisA: planck.Vec2(1, 0),
+            enableLimit: true,
+            lowerTranslation: trackFront - trackLength,
+            upperTranslation: trackFront,
+            enableMotor: axleFriction > 0,
+            motorSpeed: 0,
+            maxMotorForce: axleFriction * axleLoad
+        }));
+        joints.push(trackJoint);
+
+        // Arm pivots on the carriage
+        const arm = this.createArm(axleX, trackY, armAngle, leftArmLength, rightArmLength, params.armMass || 30);
+        bodies.push(arm);
+
+        const pivotJoint = world.createJoint(planck.RevoluteJoint({
+            bodyA: carriage,
+            bodyB: arm,
+            localAnchorA: planck.Vec2(0, 0),
+            localAnchorB: planck.Vec2(0, 0),
+            enableLimit: false
+        }));
+        joints.push(pivotJoint);
+
+        // Vertical guide - counterweight can only slide straight down, stopping short of the ground
+        const guideDrop = Math.min(cwRise + rightArmLength * 0.95, baseY - cwSize / 2 - cwY - 0.1);
+        const guideHalfHeight = (baseY - cwY + cwSize) / 2;
+        const guide = world.createBody({
+            position: planck.Vec2(cwX, cwY),
+            userData: { name: 'guide' } // Debug label
+        });
+        [-1, 1].forEach(side => {
+            guide.createFixture({
+                shape: planck.Box(0.15, guideHalfHeight, planck.Vec2(side * (cwSize / 2 + 0.2), guideHalfHeight - cwSize), 0),
+                filterMaskBits: 0x0000, // Visual only
+                userData: { color: '#8B4513', name: 'guide' }
+            });
+        });
+        bodies.push(guide);
+
+        const counterweight = this.createCounterweight(cwX, cwY, cwSize, params.counterweightMass || 200, params.counterweightShape || 'box');
+        bodies.push(counterweight);
+
+        const guideJoint = world.createJoint(planck.PrismaticJoint({
+            bodyA: guide,
+            bodyB: counterweight,
+            localAnchorA: planck.Vec2(0, 0),
+            localAnchorB: planck.Vec2(0, 0),
+            localAxisA: planck.Vec2(0, 1),
+            enableLimit: true,
+            lowerTranslation: 0,
+            upperTranslation: guideDrop
+        }));
+        joints.push(guideJoint);
+
+        const cwPin = world.createJoint(planck.RevoluteJoint({
+            bodyA: arm,
+            bodyB: counterweight,
+            localAnchorA: planck.Vec2(rightArmLength, 0),
+            localAnchorB: planck.Vec2(0, 0)
+        }));
+        joints.push(cwPin);
+
+        // Projectile lies on the ground with the sling stretched out from the arm tip
+        const slingAttachX = axleX - leftArmLength * Math.cos(armAngle);
+        const slingAttachY = trackY - leftArmLength * Math.sin(armAngle);
+        const projPos = this.getProjectileStartPosition(slingAttachX, slingAttachY, baseY, params);
+        const projectile = this.createProjectile(projPos.x, projPos.y, params);
+        bodies.push(projectile);
+
+        const slingJoint = this.createSling(arm, projectile, planck.Vec2(-leftArmLength, 0), params.slingLength);
+        joints.push(slingJoint);
+
+        return {
+            bodies,
+            joints,
+            projectile,
+            slingJoint
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FloatingArmTrebuchetBuilder;
 }
@@ -0,0 +1,105 @@
+// Traction Trebuchet
+// Man-powered: instead of a counterweight, a crew hauls down on ropes tied to the short end of the arm
+
+class TractionTrebuchetBuilder extends BaseTrebuchetBuilder {
+    static getParameterConfig() {
+        return [
+            { id: 'projectileArmLength', label: 'Arm Length (Projectile)', unit: 'm', step: 0.5, min: 1, max: 30, default: 8 },
+            { id: 'counterweightArmLength', label: 'Arm Length (Pull Ropes)', unit: 'm', step: 0.5, min: 0.5, max: 15, default: 2.5 },
+            { id: 'armHeight', label: 'Pivot Height', unit: 'm', step: 0.5, min: 2, max: 30, default: 6 },
+            { id: 'armMass', label: 'Arm Mass', unit: 'kg', step: 5, min: 5, max: 500, default: 60 },
+            { id: 'projectileMass', label: 'Projectile Mass', unit: 'kg', step: 1, min: 1, max: 100, default: 5 },
+            { id: 'projectileSize', label: 'Projectile Diameter', unit: 'm', step: 0.05, min: 0.1, max: 3, default: 0.3 },
+            { id: 'slingLength', label: 'Sling Length', unit: 'm', step: 0.5, min: 1, max: 30, default: 5 },
+            { id: 'crewSize', label: 'Crew Size', unit: 'pullers', step: 1, min: 1, max: 200, default: 20 },
+            { id: 'forcePerPuller', label: 'Force per Puller', unit: 'N', step: 10, min: 10, max: 1500, default: 200 },
+            { id: 'pullDuration', label: 'Pull Duration', unit: 's', step: 0.1, min: 0.1, max: 5, default: 1.2 },
+            { id: 'releaseAngle', label: 'Release Angle', unit: '°', step: 5, min: 0, max: 90, default: 45 }
+        ];
+    }
+
+    // Crew pull at time t: builds up and eases off over the pull, half a sine wave
+    static getPullForce(t, params) {
+        const duration = params.pullDuration || 1.2;
+        if (t < 0 || t > duration) {
+            return 0;
+        }
+        return (params.crewSize || 20) * (params.forcePerPuller || 200) * Math.sin(Math.PI * t / duration);
+    }
+
+    build(baseX, baseY, params) {
+        const bodies = [];
+        const joints = [];
+        const world = this.simulator.world;
+        const leftArmLength = params.projectileArmLength;
+        const rightArmLength = params.counterweightArmLength;
+        const armHeight = params.armHeight || 6;
+
+        const frame = this.createFrame(baseX, baseY, armHeight);
+        bodies.push(frame);
+
+        // Arm starts with its projectile end resting just above the ground
+        const pivotY = baseY - armHeight;
+        const armAngle = -Math.asin(Math.min(0.8, (armHeight - 0.5) / leftArmLength));
+        const arm = this.createArm(baseX, pivotY, armAngle, leftArmLength, rightArmLength, params.armMass || 60);
+        bodies.push(arm);
+
+        // Pivot rests on its prop: the arm can only swing up from its starting angle, so it waits there for the crew
+        // (left to drop onto the ground, its end would catch on it)
+        const pivotJoint = world.createJoint(planck.RevoluteJoint({
+            bodyA: frame,
+            bodyB: arm,
+            localAnchorA: planck.Vec2(0, -armHeight / 2), // Relative to frame center
+            localAnchorB: planck.Vec2(0, 0),
+            enableLimit: true,
+            lowerAngle: 0,
+            upperAngle: 2 * Math.PI
+        }));
+        joints.push(pivotJoint);
+
+        // Crew hauls straight down on the short end, following the pull profile from when the launch starts
+        const ropePointLocal = planck.Vec2(rightArmLength, 0);
+        let pullTime = 0;
+        let pulling = false;
+        const onPreStep = (dt) => {
+            if (!pulling) {
+                return;
+            }
+            const force = TractionTrebuchetBuilder.getPullForce(pullTime, params);
+            if (force > 0) {
+                arm.applyForce(planck.Vec2(0, force), arm.getWorldPoint(ropePointLocal), true);
+            }
+            pullTime += dt;
+            if (pullTime > (params.pullDuration || 1.2)) {
+                pulling = false;
+            }
+        };
+        world.on('pre-step', onPreStep);
+
+        // Projectile lies on the ground with the sling stretched out from the arm tip
+        const slingAttachX = baseX - leftArmLength * Math.cos(armAngle);
+        const slingAttachY = pivotY - leftArmLength * Math.sin(armAngle);
+        const projPos = this.getProjectileStartPosition(slingAttachX, slingAttachY, baseY, params);
+        const projectile = this.createProjectile(projPos.x, projPos.y, params);
+        bodies.push(projectile);
+
+        const slingJoint = this.createSling(arm, projectile, planck.Vec2(-leftArmLength, 0), params.slingLength);
+        joints.push(slingJoint);
+
+        return {
+            bodies,
+            joints,
+            projectile,
+            slingJoint,
+            // Start the pull: LaunchController.start() calls this when the throw begins
+            start: () => {
+                pulling = true;
+            },
+            cleanup: () => world.off('pre-step', onPreStep)
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TractionTrebuchetBuilder;
+}
@@ -1,10 +1,139 @@
 // Walking Arm Trebuchet
-// Base can rock and pivot, creating a walking motion during launch
-// TODO: Implement walking-arm-specific mechanics
+// The frame is a free body standing on a curved rocker foot, so the whole
+// machine rocks and walks along the ground while the arm swings
 
-class WalkingArmTrebuchetBuilder extends HingedCounterweightTrebuchetBuilder {
-    // Using hinged trebuchet as placeholder
+class WalkingArmTrebuchetBuilder extends BaseTrebuchetBuilder {
     static getParameterConfig() {
-        return HingedCounterweightTrebuchetBuilder.getParameterConfig();
+        return [
+            { id: 'projectileArmLength', label: 'Arm Length (Projectile)', unit: 'm', step: 1, min: 1, max: 50, default: 14 },
+            { id: 'counterweightArmLength', label: 'Arm Length (Counterweight)', unit: 'm', step: 1, min: 1, max: 30, default: 6 },
+            { id: 'armHeight', label: 'Pivot Height', unit: 'm', step: 0.5, min: 5, max: 40, default: 13 },
+            { id: 'armMass', label: 'Arm Mass', unit: 'kg', step: 5, min: 5, max: 500, default: 30 },
+            { id: 'counterweightMass', label: 'Counterweight Mass', unit: 'kg', step: 10, min: 10, max: 1000, default: 200 },
+            { id: 'counterweightSize', label: 'Counterweight Size', unit: 'm', step: 0.1, min: 0.1, max: 5, default: 1 },
+            { id: 'counterweightLinkLength', label: 'Counterweight Drop Link Length', unit: 'm', step: 0.5, min: 0.5, max: 20, default: 5 },
+            { id: 'counterweightShape', label: 'Counterweight Shape', options: BaseTrebuchetBuilder.getCounterweightShapeOptions(), default: 'box' },
+            { id: 'projectileMass', label: 'Projectile Mass', unit: 'kg', step: 1, min: 1, max: 100, default: 10 },
+            { id: 'projectileSize', label: 'Projectile Diameter', unit: 'm', step: 0.05, min: 0.1, max: 3, default: 0.4 },
+            { id: 'slingLength', label: 'Sling Length', unit: 'm', step: 0.5, min: 1, max: 30, default: 12 },
+            { id: 'footCurvature', label: 'Foot Curvature', unit: '1/m', step: 0.01, min: 0.01, max: 1, default: 0.05 },
+            { id: 'baseMass', label: 'Base Mass', unit: 'kg', step: 10, min: 10, max: 2000, default: 300 },
+            { id: 'baseFriction', label: 'Base Friction', unit: 'μ', step: 0.05, min: 0, max: 2, default: 0.6 },
+            { id: 'releaseAngle', label: 'Release Angle', unit: '°', step: 5, min: 0, max: 90, default: 45 }
+        ];
     }
+
+    build(baseX, baseY, params) {
+        const bodies = [];
+        const joints = [];
+        const world = this.simulator.world;
+        const leftArmLength = params.projectileArmLength;
+        const rightArmLength = params.counterweightArmLength;
+        const armHeight = params.armHeight || 13;
+        const baseFriction = params.baseFriction !== undefined ? params.baseFriction : 0.6;
+
+        // Frame - dynamic body with its origin at the rocker's ground contact point
+        const frame = world.createBody({
+            position: planck.Vec2(baseX, baseY),
+            type: 'dynamic',
+            userData: { name: 'frame' } // Debug label
+        });
+
+        // Rocker foot - arc of a circle of radius 1 / curvature, centred above the contact point
+        const footRadius = 1 / (params.footCurvature || 0.05);
+        const footHalfWidth = Math.min(3, footRadius * 0.9);
+        const footHalfAngle = Math.asin(footHalfWidth / footRadius);
+        const footRise = footRadius * (1 - Math.cos(footHalfAngle));
+        const footThickness = 0.5;
+        const arcSegments = 8;
+        const footVertices = [];
+        for (let i = 0; i <= arcSegments; i++) {
+            const phi = -footHalfAngle + (2 * footHalfAngle * i) / arcSegments;
+            footVertices.push(planck.Vec2(footRadius * Math.sin(phi), -footRadius * (1 - Math.cos(phi))));
+        }
+        footVertices.push(planck.Vec2(footHalfWidth, -footRise - footThickness));
+        footVertices.push(planck.Vec2(-footHalfWidth, -footRise - footThickness));
+        const foot = frame.createFixture({
+            shape: planck.Polygon(footVertices),
+            density: 1.0,
+            friction: baseFriction,
+            filterCategoryBits: 0x0002,
+            filterMaskBits: 0x0001, // Rocks on the ground
+            userData: { color: '#8B4513', name: 'foot' }
+        });
+
+        // Column from the foot up to the pivot
+        const columnHeight = armHeight - footRise - footThickness;
+        frame.createFixture({
+            shape: planck.Box(0.5, columnHeight / 2, planck.Vec2(0, -armHeight + columnHeight / 2), 0),
+            density: 1.0,
+            filterCategoryBits: 0x0002,
+            filterMaskBits: 0x0000,
+            userData: { color: '#8B4513', name: 'frame' }
+        });
+
+        // Spread the base mass evenly over the frame (mass at density 1 is the total area)
+        const frameDensity = (params.baseMass || 300) / frame.getMass();
+        for (let fixture = frame.getFixtureList(); fixture; fixture = fixture.getNext()) {
+            fixture.setDensity(frameDensity);
+        }
+        frame.resetMassData();
+        bodies.push(frame);
+
+        // The ground is very grippy, so the foot's own friction is applied directly to its contacts
+        const onPreSolve = (contact) => {
+            if (contact.getFixtureA() === foot || contact.getFixtureB() === foot) {
+                contact.setFriction(baseFriction);
+            }
+        };
+        world.on('pre-solve', onPreSolve);
+
+        // Arm pivots on top of the column, so the pivot travels with the walking frame
+        const armAngle = -Math.PI / 4;
+        const pivotY = baseY - armHeight;
+        const arm = this.createArm(baseX, pivotY, armAngle, leftArmLength, rightArmLength, params.armMass || 30);
+        bodies.push(arm);
+
+        const pivotJoint = world.createJoint(planck.RevoluteJoint({
+            bodyA: frame,
+            bodyB: arm,
+            localAnchorA: planck.Vec2(0, -armHeight), // Relative to frame origin
+            localAnchorB: planck.Vec2(0, 0),
+            enableLimit: false
+        }));
+        joints.push(pivotJoint);
+
+        // Counterweight hangs from the short end, as on the hinged design
+        const cwAttachLength = params.counterweightLinkLength || 5;
+        const cwAttachX = baseX + rightArmLength * Math.cos(armAngle);
+        const cwAttachY = pivotY + rightArmLength * Math.sin(armAngle);
+        const counterweight = this.createCounterweight(cwAttachX, cwAttachY + cwAttachLength, params.counterweightSize || 1,
+            params.counterweightMass || 200, params.counterweightShape || 'box');
+        bodies.push(counterweight);
+
+        const cwHinge = this.createCounterweightHinge(arm, counterweight, planck.Vec2(rightArmLength, 0), cwAttachLength);
+        joints.push(cwHinge);
+
+        // Projectile lies on the ground with the sling stretched out from the arm tip
+        const slingAttachX = baseX - leftArmLength * Math.cos(armAngle);
+        const slingAttachY = pivotY - leftArmLength * Math.sin(armAngle);
+        const projPos = this.getProjectileStartPosition(slingAttachX, slingAttachY, baseY, params);
+        const projectile = this.createProjectile(projPos.x, projPos.y, params);
+        bodies.push(projectile);
+
+        const slingJoint = this.createSling(arm, projectile, planck.Vec2(-leftArmLength, 0), params.slingLength);
+        joints.push(slingJoint);
+
+        return {
+            bodies,
+            joints,
+            projectile,
+            slingJoint,
+            cleanup: () => world.off('pre-solve', onPreSolve)
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WalkingArmTrebuchetBuilder;
 }
@@ -1,10 +1,153 @@
 // Whipper Trebuchet
-// Features an additional arm segment for enhanced whipping action
-// TODO: Implement whipper-specific mechanics
+// The arm starts raised with the counterweight hanging forward of the pivot,
+// and a hinged whip segment on the arm tip carries the sling for extra tip speed
 
-class WhipperTrebuchetBuilder extends HingedCounterweightTrebuchetBuilder {
-    // Using hinged trebuchet as placeholder
+class WhipperTrebuchetBuilder extends BaseTrebuchetBuilder {
     static getParameterConfig() {
-        return HingedCounterweightTrebuchetBuilder.getParameterConfig();
+        return [
+            { id: 'projectileArmLength', label: 'Arm Length (Projectile)', unit: 'm', step: 1, min: 1, max: 50, default: 8 },
+            { id: 'counterweightArmLength', label: 'Arm Length (Counterweight)', unit: 'm', step: 1, min: 1, max: 30, default: 5 },
+            { id: 'armHeight', label: 'Pivot Height', unit: 'm', step: 0.5, min: 5, max: 40, default: 15 },
+            { id: 'armMass', label: 'Arm Mass', unit: 'kg', step: 5, min: 5, max: 500, default: 30 },
+            { id: 'counterweightMass', label: 'Counterweight Mass', unit: 'kg', step: 10, min: 10, max: 1000, default: 200 },
+            { id: 'counterweightSize', label: 'Counterweight Size', unit: 'm', step: 0.1, min: 0.1, max: 5, default: 1 },
+            { id: 'counterweightLinkLength', label: 'Counterweight Drop Link Length', unit: 'm', step: 0.5, min: 0.5, max: 20, default: 4 },
+            { id: 'counterweightShape', label: 'Counterweight Shape', options: BaseTrebuchetBuilder.getCounterweightShapeOptions(), default: 'box' },
+            { id: 'projectileMass', label: 'Projectile Mass', unit: 'kg', step: 1, min: 1, max: 100, default: 10 },
+            { id: 'projectileSize', label: 'Projectile Diameter', unit: 'm', step: 0.05, min: 0.1, max: 3, default: 0.4 },
+            { id: 'slingLength', label: 'Sling Length', unit: 'm', step: 0.5, min: 1, max: 30, default: 10 },
+            { id: 'whipLength', label: 'Whip Segment Length', unit: 'm', step: 0.5, min: 0.5, max: 20, default: 4 },
+            { id: 'whipStiffness', label: 'Whip Hinge Stiffness', unit: 'Hz', step: 0.5, min: 0.5, max: 30, default: 3 },
+            { id: 'startArmAngle', label: 'Starting Arm Angle', unit: '°', step: 5, min: 30, max: 90, default: 70 },
+            { id: 'releaseAngle', label: 'Release Angle', unit: '°', step: 5, min: 0, max: 90, default: 45 }
+        ];
     }
+
+    build(baseX, baseY, params) {
+        const bodies = [];
+        const joints = [];
+        const world = this.simulator.world;
+        const leftArmLength = params.projectileArmLength;
+        const rightArmLength = params.counterweightArmLength;
+        const whipLength = params.whipLength || 4;
+        const armMass = params.armMass || 30;
+
+        // Vertical frame - same column as the hinged design
+        const armHeight = params.armHeight || 15;
+        const frameHeight = armHeight / 2;
+        const frameY = baseY - frameHeight;
+        const frame = world.createBody({
+            position: planck.Vec2(baseX, frameY),
+            userData: { name: 'frame' } // Debug label
+        });
+        frame.createFixture({
+            shape: planck.Box(0.5, frameHeight),
+            friction: 0.5,
+            filterCategoryBits: 0x0002,
+            filterMaskBits: 0x0001,
+            userData: { color: '#8B4513', name: 'frame' }
+        });
+        bodies.push(frame);
+
+        // Arm starts raised: counterweight end up and forward, projectile end hanging down behind the frame
+        // Limited so the arm tip plus whip stays clear of the ground
+        const pivotY = baseY - armHeight;
+        const maxRaise = Math.asin(Math.min(1, (armHeight - 1) / (leftArmLength + whipLength)));
+        const startAngle = Math.min((params.startArmAngle || 70) * Math.PI / 180, maxRaise);
+        const armAngle = -startAngle;
+
+        // Whip takes its share of the arm mass by length
+        const whipMass = armMass * whipLength / (leftArmLength + rightArmLength + whipLength);
+        const arm = this.createArm(baseX, pivotY, armAngle, leftArmLength, rightArmLength, armMass - whipMass);
+        bodies.push(arm);
+
+        // Pivot rests on its prop: the arm can only swing forward from its starting angle
+        const pivotJoint = world.createJoint(planck.RevoluteJoint({
+            bodyA: frame,
+            bodyB: arm,
+            localAnchorA: planck.Vec2(0, pivotY - frameY), // Relative to frame center
+            localAnchorB: planck.Vec2(0, 0),
+            enableLimit: true,
+            lowerAngle: 0,
+            upperAngle: 2 * Math.PI
+        }));
+        joints.push(pivotJoint);
+
+        // Hook holding the arm on its rest until the launch starts (see start() below)
+        let hookJoint = world.createJoint(planck.WeldJoint({
+            bodyA: frame,
+            bodyB: arm,
+            localAnchorA: planck.Vec2(0, pivotY - frameY),
+            localAnchorB: planck.Vec2(0, 0)
+        }));
+
+        // Counterweight hangs forward of the pivot from the raised short end
+        const cwAttachLength = params.counterweightLinkLength || 4;
+        const cwSize = params.counterweightSize || 1;
+        const cwAttachX = baseX + rightArmLength * Math.cos(armAngle);
+        const cwAttachY = pivotY + rightArmLength * Math.sin(armAngle);
+        const counterweight = this.createCounterweight(cwAttachX, cwAttachY + cwAttachLength, cwSize, params.counterweightMass || 200, params.counterweightShape || 'box');
+        bodies.push(counterweight);
+
+        const cwHinge = this.createCounterweightHinge(arm, counterweight, planck.Vec2(rightArmLength, 0), cwAttachLength);
+        joints.push(cwHinge);
+
+        // Whip segment - continues the arm past its tip, held straight by a springy hinge
+        const tipX = baseX - leftArmLength * Math.cos(armAngle);
+        const tipY = pivotY - leftArmLength * Math.sin(armAngle);
+        const whip = world.createBody({
+            position: planck.Vec2(tipX, tipY),
+            type: 'dynamic',
+            angle: armAngle,
+            userData: { name: 'whip' } // Debug label
+        });
+        whip.createFixture({
+            shape: planck.Box(whipLength / 2, 0.3, planck.Vec2(-whipLength / 2, 0), 0),
+            density: whipMass / (whipLength * 0.6),
+            friction: 0.5,
+            filterCategoryBits: 0x0010, // Arm category
+            filterMaskBits: 0x0001, // Only collide with ground
+            userData: { color: '#CD853F', name: 'whip' }
+        });
+        bodies.push(whip);
+
+        const whipHinge = world.createJoint(planck.WeldJoint({
+            bodyA: arm,
+            bodyB: whip,
+            localAnchorA: planck.Vec2(-leftArmLength, 0),
+            localAnchorB: planck.Vec2(0, 0),
+            referenceAngle: 0,
+            frequencyHz: params.whipStiffness || 3, // Soft angular spring
+            dampingRatio: 0.2
+        }));
+        joints.push(whipHinge);
+
+        // Projectile lies on the ground with the sling stretched out from the whip tip
+        const slingAttachX = tipX - whipLength * Math.cos(armAngle);
+        const slingAttachY = tipY - whipLength * Math.sin(armAngle);
+        const projPos = this.getProjectileStartPosition(slingAttachX, slingAttachY, baseY, params);
+        const projectile = this.createProjectile(projPos.x, projPos.y, params);
+        bodies.push(projectile);
+
+        const slingJoint = this.createSling(whip, projectile, planck.Vec2(-whipLength, 0), params.slingLength);
+        joints.push(slingJoint);
+
+        return {
+            bodies,
+            joints,
+            projectile,
+            slingJoint,
+            // Trip the hook: LaunchController.start() calls this when the throw begins
+            start: () => {
+                if (hookJoint) {
+                    world.destroyJoint(hookJoint);
+                    hookJoint = null;
+                }
+            }
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WhipperTrebuchetBuilder;
 }